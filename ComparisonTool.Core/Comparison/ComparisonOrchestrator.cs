@@ -490,16 +490,61 @@ public class ComparisonOrchestrator : IComparisonOrchestrator
         string modelName,
         int batchSize = 25,
         IProgress<(int Completed, int Total)>? progress = null,
+        CancellationToken cancellationToken = default)
+    {
+        logger.LogInformation(
+            "Starting batch comparison of {Count1} files from folder 1 and {Count2} files from folder 2",
+            folder1Files.Count,
+            folder2Files.Count);
+
+        // Create mappings between files in both folders (by name for now)
+        var filePairMappings = FilePairMappingUtility.CreateFilePairMappings(folder1Files, folder2Files);
+
+        return await CompareFilePairsInBatchesTrackedAsync(
+            "CompareFoldersInBatchesAsync",
+            filePairMappings,
+            modelName,
+            batchSize,
+            progress,
+            cancellationToken).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Compare explicitly paired files in batches with parallel processing.
+    /// </summary>
+    /// <param name="filePairMappings">The pairs to compare, e.g. from a pairing manifest reviewed before upload.</param>
+    /// <param name="modelName">Name of the registered model to use for deserialization.</param>
+    /// <param name="batchSize">Number of pairs to process in each batch.</param>
+    /// <param name="progress">Progress reporter.</param>
+    /// <param name="cancellationToken">Cancellation token for async operations.</param>
+    /// <returns>Results of comparing multiple files.</returns>
+    public async Task<MultiFolderComparisonResult> CompareFilePairsInBatchesAsync(
+        List<(string file1Path, string file2Path, string relativePath)> filePairMappings,
+        string modelName,
+        int batchSize = 25,
+        IProgress<(int Completed, int Total)>? progress = null,
         CancellationToken cancellationToken = default) =>
-        await performanceTracker.TrackOperationAsync("CompareFoldersInBatchesAsync", async () =>
-        {
-            logger.LogInformation(
-                "Starting batch comparison of {Count1} files from folder 1 and {Count2} files from folder 2",
-                folder1Files.Count,
-                folder2Files.Count);
+        await CompareFilePairsInBatchesTrackedAsync(
+            "CompareFilePairsInBatchesAsync",
+            filePairMappings,
+            modelName,
+            batchSize,
+            progress,
+            cancellationToken).ConfigureAwait(false);
 
-            // Create mappings between files in both folders (by name for now)
-            var filePairMappings = FilePairMappingUtility.CreateFilePairMappings(folder1Files, folder2Files);
+    /// <summary>
+    /// Shared body of the batch comparisons. Each entry point keeps its own performance-tracker operation name,
+    /// so folder comparisons are still reported as CompareFoldersInBatchesAsync.
+    /// </summary>
+    private async Task<MultiFolderComparisonResult> CompareFilePairsInBatchesTrackedAsync(
+        string operationName,
+        List<(string file1Path, string file2Path, string relativePath)> filePairMappings,
+        string modelName,
+        int batchSize,
+        IProgress<(int Completed, int Total)>? progress,
+        CancellationToken cancellationToken) =>
+        await performanceTracker.TrackOperationAsync(operationName, async () =>
+        {
             var totalPairs = filePairMappings.Count;
 
             // Use high-performance pipeline for large batch operations
@@ -531,7 +576,7 @@ public class ComparisonOrchestrator : IComparisonOrchestrator
                 HighPerformancePipelineThreshold);
 
             // Estimate optimal batch size based on file count and system resources
-            var optimalBatchSize = CalculateOptimalBatchSize(Math.Max(folder1Files.Count, folder2Files.Count), folder1Files);
+            var optimalBatchSize = CalculateOptimalBatchSize(totalPairs, filePairMappings.Select(p => p.file1Path));
 
             // Use the provided batch size if specified, otherwise use the calculated one
             if (batchSize <= 0)
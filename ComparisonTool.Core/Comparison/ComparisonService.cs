@@ -196,6 +196,28 @@ public class ComparisonService : IComparisonService
             progress ?? new Progress<(int Completed, int Total)>(),
             cancellationToken).ConfigureAwait(false);
 
+    /// <summary>
+    /// Compare explicitly paired files in batches with parallel processing.
+    /// </summary>
+    /// <param name="filePairMappings">The pairs to compare, e.g. from a pairing manifest reviewed before upload.</param>
+    /// <param name="modelName">Name of the registered model to use for deserialization.</param>
+    /// <param name="batchSize">Number of pairs to process in each batch.</param>
+    /// <param name="progress">Progress reporter.</param>
+    /// <param name="cancellationToken">Cancellation token for async operations.</param>
+    /// <returns>Results of comparing multiple files.</returns>
+    public async Task<MultiFolderComparisonResult> CompareFilePairsInBatchesAsync(
+        List<(string file1Path, string file2Path, string relativePath)> filePairMappings,
+        string modelName,
+        int batchSize = 50,
+        IProgress<(int Completed, int Total)>? progress = null,
+        CancellationToken cancellationToken = default)
+        => await comparisonOrchestrator.CompareFilePairsInBatchesAsync(
+            filePairMappings,
+            modelName,
+            batchSize,
+            progress ?? new Progress<(int Completed, int Total)>(),
+            cancellationToken).ConfigureAwait(false);
+
     /// <summary>
     /// Analyze patterns across multiple file comparison results.
     /// </summary>
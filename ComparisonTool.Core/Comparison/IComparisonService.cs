@@ -77,6 +77,17 @@ public interface IComparisonService
         IProgress<(int Completed, int Total)> progress = null,
         CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Compare explicitly paired files in batches with parallel processing.
+    /// </summary>
+    /// <returns>A <see cref="Task"/> representing the asynchronous operation.</returns>
+    Task<MultiFolderComparisonResult> CompareFilePairsInBatchesAsync(
+        List<(string file1Path, string file2Path, string relativePath)> filePairMappings,
+        string modelName,
+        int batchSize = 50,
+        IProgress<(int Completed, int Total)> progress = null,
+        CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Analyze patterns across multiple file comparison results.
     /// </summary>
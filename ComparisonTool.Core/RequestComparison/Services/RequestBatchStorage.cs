@@ -0,0 +1,104 @@
+using System.Text.Json;
+
+namespace ComparisonTool.Core.RequestComparison.Services;
+
+/// <summary>
+/// Where uploaded request batches live: one folder per batch under the temp folder, holding the request files
+/// at their paths relative to the picked folder plus the server's own file list.
+/// </summary>
+public static class RequestBatchStorage
+{
+    /// <summary>
+    /// File list written for large batches. Only this exact file at the batch root is the server's; every other
+    /// file, whatever its name, is a request file.
+    /// </summary>
+    public const string FileListFileName = "_filelist.json";
+
+    /// <summary>
+    /// Batches with more files than this get a file list, so their upload responses need not name every file.
+    /// </summary>
+    public const int FileListThreshold = 100;
+
+    private const int MaxBatchIdLength = 32;
+
+    public static string DefaultRoot => Path.Combine(Path.GetTempPath(), "ComparisonToolRequests");
+
+    /// <summary>
+    /// Creates an empty batch folder and returns its id.
+    /// </summary>
+    public static string CreateBatch(string root)
+    {
+        var batchId = Guid.NewGuid().ToString("N")[..8];
+        Directory.CreateDirectory(Path.Combine(root, batchId));
+        return batchId;
+    }
+
+    /// <summary>
+    /// Finds the folder of an existing batch, rejecting ids that are not plain hex and so could name a folder
+    /// outside <paramref name="root"/>.
+    /// </summary>
+    public static bool TryGetBatchPath(string root, string? batchId, out string batchPath)
+    {
+        batchPath = string.Empty;
+
+        if (string.IsNullOrEmpty(batchId) || batchId.Length > MaxBatchIdLength || !batchId.All(char.IsAsciiHexDigit))
+        {
+            return false;
+        }
+
+        var candidate = Path.Combine(root, batchId);
+        if (!Directory.Exists(candidate))
+        {
+            return false;
+        }
+
+        batchPath = candidate;
+        return true;
+    }
+
+    /// <summary>
+    /// Resolves where an uploaded file (a path relative to the picked folder) is stored in the batch, or returns
+    /// false when it would land outside the batch folder or replace the batch's file list.
+    /// </summary>
+    public static bool TryGetFilePath(string batchPath, string fileName, out string filePath)
+    {
+        var relativePath = fileName.Replace('\\', Path.DirectorySeparatorChar)
+            .Replace('/', Path.DirectorySeparatorChar);
+        var batchRoot = Path.GetFullPath(batchPath) + Path.DirectorySeparatorChar;
+        filePath = Path.GetFullPath(Path.Combine(batchPath, relativePath));
+
+        return filePath.StartsWith(batchRoot, StringComparison.Ordinal)
+            && !string.Equals(filePath, batchRoot + FileListFileName, StringComparison.OrdinalIgnoreCase);
+    }
+
+    /// <summary>
+    /// Rewrites the batch's file list from the files now in the batch. Called after every upload request, so a
+    /// continued batch's list also covers files of later, smaller requests.
+    /// </summary>
+    /// <returns>The path of the file list, or null when the batch is too small to have one.</returns>
+    public static async Task<string?> UpdateFileListAsync(string batchPath)
+    {
+        var fileListPath = Path.Combine(batchPath, FileListFileName);
+        var files = ListFiles(batchPath);
+        if (files.Count <= FileListThreshold && !File.Exists(fileListPath))
+        {
+            return null;
+        }
+
+        await File.WriteAllTextAsync(fileListPath, JsonSerializer.Serialize(files)).ConfigureAwait(false);
+        return fileListPath;
+    }
+
+    /// <summary>
+    /// Lists every request file uploaded to a batch so far, across all of its upload requests, in ordinal order.
+    /// </summary>
+    public static List<string> ListFiles(string batchPath)
+    {
+        var fileListPath = Path.Combine(Path.GetFullPath(batchPath), FileListFileName);
+
+        return Directory.EnumerateFiles(Path.GetFullPath(batchPath), "*", SearchOption.AllDirectories)
+            .Where(f => !string.Equals(f, fileListPath, StringComparison.Ordinal))
+            .OrderBy(f => f, StringComparer.Ordinal)
+            .ToList();
+    }
+}
@@ -48,11 +48,9 @@ public class RequestFileParserService
 
         var requests = new List<RequestFileInfo>();
 
-        // Get all files except sidecar header files
-        var files = Directory.GetFiles(batchPath, "*", SearchOption.AllDirectories)
+        // Get all request files except sidecar header files
+        var files = RequestBatchStorage.ListFiles(batchPath)
             .Where(f => !f.EndsWith(".headers.json", StringComparison.OrdinalIgnoreCase))
-            .Where(f => !Path.GetFileName(f).StartsWith("_"))
-            .OrderBy(f => f, StringComparer.Ordinal)
             .ToList();
 
         foreach (var filePath in files)
@@ -147,6 +145,6 @@ public class RequestFileParserService
     /// </summary>
     private static string GetBatchPath(string batchId)
     {
-        return Path.Combine(Path.GetTempPath(), "ComparisonToolRequests", batchId);
+        return Path.Combine(RequestBatchStorage.DefaultRoot, batchId);
     }
 }
@@ -50,6 +50,14 @@ public interface IXmlDeserializationService
     /// <returns>A <see cref="DeserializationResult"/> containing the object or an error message.</returns>
     DeserializationResult TryDeserializeXml(Stream xmlStream, Type modelType);
 
+    /// <summary>
+    /// Gets the root element name the serializer for <paramref name="modelType"/> accepts in the current
+    /// namespace mode, including roots registered with a custom root element name or serializer.
+    /// </summary>
+    /// <param name="modelType">The model type.</param>
+    /// <returns>The local name of the expected root element.</returns>
+    string GetExpectedRootElementName(Type modelType);
+
     T CloneObject<T>(T source);
 
     /// <summary>
@@ -1,4 +1,5 @@
 using System.Collections.Concurrent;
+using System.Text;
 using System.Xml;
 using System.Xml.Serialization;
 using ComparisonTool.Core.Comparison.Configuration;
@@ -23,6 +24,7 @@ public class XmlDeserializationService : IXmlDeserializationService
     // Key is (Type, IgnoreXmlNamespaces) to ensure correct serializer is used for each mode
     private readonly ThreadLocal<ConcurrentDictionary<(Type, bool), XmlSerializer>> threadLocalSerializerCache;
     private readonly ConcurrentDictionary<(Type, bool), XmlSerializer> serializerCache;
+    private readonly ConcurrentDictionary<(Type, bool), string> rootElementNameCache = new ConcurrentDictionary<(Type, bool), string>();
 
     // Cache for recently deserialized objects
     private readonly ConcurrentDictionary<string, (DateTime LastAccess, object Data)> deserializationCache = new ConcurrentDictionary<string, (DateTime LastAccess, object Data)>(StringComparer.Ordinal);
@@ -282,6 +284,16 @@ public class XmlDeserializationService : IXmlDeserializationService
         }
     }
 
+    /// <summary>
+    /// Gets the root element name the serializer for <paramref name="modelType"/> accepts in the current
+    /// namespace mode. Unlike the type's <see cref="XmlRootAttribute"/>, this reflects roots registered with
+    /// <c>RegisterDomainModelWithRootElement</c> or a custom serializer factory.
+    /// </summary>
+    /// <param name="modelType">The model type.</param>
+    /// <returns>The local name of the expected root element.</returns>
+    public string GetExpectedRootElementName(Type modelType) =>
+        rootElementNameCache.GetOrAdd((modelType, IgnoreXmlNamespaces), key => ReadSerializerRootElementName(key.Item1));
+
     /// <summary>
     /// Clone object efficiently using serialization.
     /// </summary>
@@ -349,6 +361,7 @@ public class XmlDeserializationService : IXmlDeserializationService
 
         deserializationCache.Clear();
         serializerCache.Clear();
+        rootElementNameCache.Clear();
 
         logger.LogWarning(
             "CLEARED ALL CACHES: {DeserializationCache} deserialization entries, {SerializerCache} serializer entries removed",
@@ -493,16 +506,34 @@ public class XmlDeserializationService : IXmlDeserializationService
     }
 
     /// <summary>
-    /// Gets the expected root element name for a model type by inspecting its
-    /// <see cref="XmlRootAttribute"/>. Falls back to the type name if no attribute is present.
+    /// XmlSerializer does not expose its root element, so serialize an empty instance and read the root back.
+    /// Falls back to the <see cref="XmlRootAttribute"/> or type name when the type cannot be instantiated.
     /// </summary>
-    private static string GetExpectedRootElementName(Type modelType)
+    private string ReadSerializerRootElementName(Type modelType)
     {
-        var xmlRootAttr = modelType
-            .GetCustomAttributes(typeof(XmlRootAttribute), true)
-            .FirstOrDefault() as XmlRootAttribute;
+        try
+        {
+            var instance = Activator.CreateInstance(modelType);
+            var serializer = GetCachedSerializerForType(modelType);
+            var xml = new StringBuilder();
+            using (var writer = XmlWriter.Create(xml, new XmlWriterSettings { OmitXmlDeclaration = true }))
+            {
+                serializer.Serialize(writer, instance);
+            }
+
+            using var reader = XmlReader.Create(new StringReader(xml.ToString()));
+            reader.MoveToContent();
+            return reader.LocalName;
+        }
+        catch (Exception ex)
+        {
+            logger.LogDebug(ex, "Could not read the root element of the {Type} serializer; using its XmlRoot attribute", modelType.Name);
+            var xmlRootAttr = modelType
+                .GetCustomAttributes(typeof(XmlRootAttribute), true)
+                .FirstOrDefault() as XmlRootAttribute;
 
-        return xmlRootAttr?.ElementName ?? modelType.Name;
+            return string.IsNullOrEmpty(xmlRootAttr?.ElementName) ? modelType.Name : xmlRootAttr.ElementName;
+        }
     }
 
     /// <summary>
@@ -0,0 +1,253 @@
+using System.Xml.Serialization;
+using ComparisonTool.Core.Comparison;
+using ComparisonTool.Core.Comparison.Configuration;
+using ComparisonTool.Core.Serialization;
+using ComparisonTool.Core.Utilities;
+using FluentAssertions;
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.Extensions.Options;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+using Moq;
+
+namespace ComparisonTool.Tests.Integration.Services;
+
+/// <summary>
+/// Batch comparisons through <see cref="ComparisonOrchestrator"/> on real files: how pairs are formed,
+/// how they are split into batches, and where cancellation stops the run.
+/// </summary>
+[TestClass]
+public class ComparisonOrchestratorBatchTests
+{
+    private const string ModelName = "BatchTestModel";
+
+    private string testDirectory = null!;
+    private PerformanceTracker performanceTracker = null!;
+    private int openedFiles;
+
+    [TestInitialize]
+    public void Setup()
+    {
+        testDirectory = Path.Combine(Path.GetTempPath(), "ComparisonOrchestratorBatchTests_" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(testDirectory);
+        performanceTracker = new PerformanceTracker(NullLogger<PerformanceTracker>.Instance);
+        openedFiles = 0;
+    }
+
+    [TestCleanup]
+    public void Cleanup()
+    {
+        performanceTracker.Dispose();
+        if (Directory.Exists(testDirectory))
+        {
+            Directory.Delete(testDirectory, true);
+        }
+    }
+
+    [TestMethod]
+    public async Task CompareFilePairsInBatchesAsync_ExplicitPairs_ComparesEachPairAsGiven()
+    {
+        // Arrange - the pairs cross file names, so name-based pairing would give a different result
+        var pairs = new List<(string file1Path, string file2Path, string relativePath)>
+        {
+            (WriteModel("expected/a.xml", "one"), WriteModel("actual/z.xml", "one"), "a.xml"),
+            (WriteModel("expected/b.xml", "two"), WriteModel("actual/y.xml", "changed"), "b.xml"),
+        };
+        var orchestrator = CreateOrchestrator();
+
+        // Act
+        var result = await orchestrator.CompareFilePairsInBatchesAsync(pairs, ModelName, batchSize: 5);
+
+        // Assert
+        result.TotalPairsCompared.Should().Be(2);
+        result.AllEqual.Should().BeFalse();
+        var byExpectedFile = result.FilePairResults.ToDictionary(r => r.File1Name, StringComparer.Ordinal);
+        byExpectedFile["a.xml"].File2Name.Should().Be("z.xml");
+        byExpectedFile["a.xml"].AreEqual.Should().BeTrue();
+        byExpectedFile["b.xml"].File2Name.Should().Be("y.xml");
+        byExpectedFile["b.xml"].AreEqual.Should().BeFalse();
+    }
+
+    [TestMethod]
+    public async Task CompareFoldersInBatchesAsync_PairsFilesByNameOrder()
+    {
+        // Arrange - listed out of order; pairing sorts each side by file name
+        var folder1 = new List<string> { WriteModel("expected/2.xml", "two"), WriteModel("expected/1.xml", "one") };
+        var folder2 = new List<string> { WriteModel("actual/1.xml", "one"), WriteModel("actual/2.xml", "two") };
+        var orchestrator = CreateOrchestrator();
+
+        // Act
+        var result = await orchestrator.CompareFoldersInBatchesAsync(folder1, folder2, ModelName, batchSize: 5);
+
+        // Assert
+        result.AllEqual.Should().BeTrue();
+        result.FilePairResults.Should().HaveCount(2)
+            .And.OnlyContain(r => r.File1Name == r.File2Name && r.ErrorMessage == null);
+    }
+
+    [TestMethod]
+    public async Task CompareFilePairsInBatchesAsync_MoreThanOneBatch_ComparesEveryPairAndReportsProgress()
+    {
+        // Arrange - 12 pairs in batches of 5: 5 + 5 + 2
+        var pairs = CreatePairs(12);
+        var reports = new List<(int Completed, int Total)>();
+        var progress = new SynchronousProgress<(int Completed, int Total)>(p =>
+        {
+            lock (reports)
+            {
+                reports.Add(p);
+            }
+        });
+        var orchestrator = CreateOrchestrator();
+
+        // Act
+        var result = await orchestrator.CompareFilePairsInBatchesAsync(pairs, ModelName, batchSize: 5, progress);
+
+        // Assert
+        result.TotalPairsCompared.Should().Be(12);
+        result.FilePairResults.Select(r => r.File1Name).Should().BeEquivalentTo(pairs.Select(p => p.relativePath));
+        reports.First().Should().Be((0, 12));
+        reports.Last().Should().Be((12, 12));
+
+        var metrics = performanceTracker.GetMetrics();
+        metrics.Keys.Should().Contain(new[] { "Batch_1", "Batch_2", "Batch_3" }).And.NotContain("Batch_4");
+    }
+
+    [TestMethod]
+    public async Task BatchComparisons_KeepTheirOwnPerformanceOperationNames()
+    {
+        // Arrange
+        var pairs = CreatePairs(2);
+        var orchestrator = CreateOrchestrator();
+
+        // Act
+        await orchestrator.CompareFoldersInBatchesAsync(
+            pairs.Select(p => p.file1Path).ToList(),
+            pairs.Select(p => p.file2Path).ToList(),
+            ModelName,
+            batchSize: 5);
+        await orchestrator.CompareFilePairsInBatchesAsync(pairs, ModelName, batchSize: 5);
+
+        // Assert - folder runs are still reported under the name they always had
+        var metrics = performanceTracker.GetMetrics();
+        metrics["CompareFoldersInBatchesAsync"].CallCount.Should().Be(1);
+        metrics["CompareFilePairsInBatchesAsync"].CallCount.Should().Be(1);
+    }
+
+    [TestMethod]
+    public async Task CompareFilePairsInBatchesAsync_CancelledBeforeStart_OpensNoFiles()
+    {
+        // Arrange
+        var pairs = CreatePairs(6);
+        using var cancellation = new CancellationTokenSource();
+        cancellation.Cancel();
+        var orchestrator = CreateOrchestrator(CreateCountingFileSystem());
+
+        // Act
+        var result = await orchestrator.CompareFilePairsInBatchesAsync(pairs, ModelName, batchSize: 5, cancellationToken: cancellation.Token);
+
+        // Assert
+        result.FilePairResults.Should().BeEmpty();
+        openedFiles.Should().Be(0);
+    }
+
+    [TestMethod]
+    public async Task CompareFilePairsInBatchesAsync_CancelledDuringRun_StartsNoFurtherBatches()
+    {
+        // Arrange - progress is reported every 10 pairs, i.e. once the second batch of 5 is done
+        var pairs = CreatePairs(30);
+        using var cancellation = new CancellationTokenSource();
+        var progress = new SynchronousProgress<(int Completed, int Total)>(p =>
+        {
+            if (p.Completed >= 10)
+            {
+                cancellation.Cancel();
+            }
+        });
+        var orchestrator = CreateOrchestrator(CreateCountingFileSystem());
+
+        // Act
+        try
+        {
+            var result = await orchestrator.CompareFilePairsInBatchesAsync(pairs, ModelName, batchSize: 5, progress, cancellation.Token);
+            result.FilePairResults.Should().HaveCount(10);
+        }
+        catch (OperationCanceledException)
+        {
+            // Also acceptable: the batch that saw the cancellation reports it
+        }
+
+        // Assert - two files per pair, for the first two batches only
+        openedFiles.Should().Be(20);
+    }
+
+    private ComparisonOrchestrator CreateOrchestrator(IFileSystemService? fileSystemService = null)
+    {
+        var configService = new ComparisonConfigurationService(
+            NullLogger<ComparisonConfigurationService>.Instance,
+            Options.Create(new ComparisonConfigurationOptions { MaxDifferences = 1000 }));
+        var xmlService = new XmlDeserializationService(
+            NullLogger<XmlDeserializationService>.Instance,
+            new ComparisonTool.Core.Serialization.XmlSerializerFactory());
+        xmlService.RegisterDomainModel<BatchTestModel>(ModelName);
+
+        return new ComparisonOrchestrator(
+            NullLogger<ComparisonOrchestrator>.Instance,
+            xmlService,
+            configService,
+            fileSystemService ?? new FileSystemService(NullLogger<FileSystemService>.Instance),
+            performanceTracker,
+            new SystemResourceMonitor(NullLogger<SystemResourceMonitor>.Instance),
+            new ComparisonResultCacheService(NullLogger.Instance, performanceTracker),
+            new ComparisonEngine(NullLogger<ComparisonEngine>.Instance, configService, performanceTracker));
+    }
+
+    private IFileSystemService CreateCountingFileSystem()
+    {
+        var fileSystem = new Mock<IFileSystemService>();
+        fileSystem
+            .Setup(f => f.OpenFileStreamAsync(It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .Returns((string path, CancellationToken _) =>
+            {
+                Interlocked.Increment(ref openedFiles);
+                return Task.FromResult<Stream>(File.OpenRead(path));
+            });
+        return fileSystem.Object;
+    }
+
+    private List<(string file1Path, string file2Path, string relativePath)> CreatePairs(int count) =>
+        Enumerable.Range(1, count)
+            .Select(i =>
+            {
+                var name = $"file{i:D3}.xml";
+                return (WriteModel($"expected/{name}", $"value {i}"), WriteModel($"actual/{name}", $"value {i}"), name);
+            })
+            .ToList();
+
+    private string WriteModel(string relativePath, string name)
+    {
+        var path = Path.Combine(testDirectory, relativePath);
+        Directory.CreateDirectory(Path.GetDirectoryName(path)!);
+        File.WriteAllText(path, $"<BatchTestModel><Name>{name}</Name></BatchTestModel>");
+        return path;
+    }
+
+    [XmlRoot("BatchTestModel")]
+    public class BatchTestModel
+    {
+        [XmlElement("Name")]
+        public string? Name
+        {
+            get; set;
+        }
+    }
+
+    // Progress<T> posts to the thread pool; these tests need to see every report as it happens
+    private sealed class SynchronousProgress<T> : IProgress<T>
+    {
+        private readonly Action<T> report;
+
+        public SynchronousProgress(Action<T> report) => this.report = report;
+
+        public void Report(T value) => report(value);
+    }
+}
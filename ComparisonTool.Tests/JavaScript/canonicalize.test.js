@@ -0,0 +1,128 @@
+// canonicalize.js runs in the browser; these tests load it into a jsdom window and check that the
+// canonical output means the same as the input: same element namespaces, same QName values.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const scriptPath = path.join(__dirname, '..', '..', 'ComparisonTool.Web', 'wwwroot', 'js', 'canonicalize.js');
+const { window } = new JSDOM('', { runScripts: 'outside-only' });
+window.eval(fs.readFileSync(scriptPath, 'utf8'));
+
+const soap = 'http://schemas.xmlsoap.org/soap/envelope/';
+const xsi = 'http://www.w3.org/2001/XMLSchema-instance';
+
+function canonicalize(xml) {
+    const canonical = window.canonicalizeXmlText(xml);
+    assert.notEqual(canonical, null, 'document should canonicalize');
+    return canonical;
+}
+
+function parse(xml) {
+    const document = new window.DOMParser().parseFromString(xml, 'application/xml');
+    assert.equal(document.getElementsByTagName('parsererror').length, 0, `output should parse:\n${xml}`);
+    return document;
+}
+
+function elementByLocalName(document, localName) {
+    const element = Array.from(document.getElementsByTagName('*')).find(e => e.localName === localName);
+    assert.ok(element, `<${localName}> should be in the output`);
+    return element;
+}
+
+// The namespace and local name a QName value resolves to where it appears
+function resolveQName(element, value) {
+    const colon = value.indexOf(':');
+    const prefix = colon >= 0 ? value.slice(0, colon) : null;
+    return { uri: element.lookupNamespaceURI(prefix), localName: value.slice(colon + 1) };
+}
+
+test('no-namespace child of a default-namespace root stays out of that namespace', () => {
+    // The root's namespace becomes the default one, so the child has to undeclare it
+    const output = canonicalize('<a:root xmlns:a="urn:a"><child/></a:root>');
+
+    assert.equal(output, '<?xml version="1.0" encoding="utf-8"?>\n<root xmlns="urn:a">\n  <child xmlns=""/>\n</root>\n');
+    const document = parse(output);
+    assert.equal(document.documentElement.namespaceURI, 'urn:a');
+    assert.equal(elementByLocalName(document, 'child').namespaceURI, null);
+});
+
+test('child inheriting the default namespace needs no declaration', () => {
+    const output = canonicalize('<root xmlns="urn:a"><child/><other xmlns=""/></root>');
+
+    assert.equal(output, '<?xml version="1.0" encoding="utf-8"?>\n<root xmlns="urn:a">\n  <child/>\n  <other xmlns=""/>\n</root>\n');
+});
+
+test('element back in the default namespace below a no-namespace element keeps its namespace', () => {
+    const document = parse(canonicalize('<a xmlns="urn:a"><b xmlns=""><c xmlns="urn:a">1</c><d>2</d></b></a>'));
+
+    assert.equal(elementByLocalName(document, 'b').namespaceURI, null);
+    assert.equal(elementByLocalName(document, 'c').namespaceURI, 'urn:a');
+    assert.equal(elementByLocalName(document, 'd').namespaceURI, null);
+});
+
+test('no-namespace elements inside mixed content keep their namespace', () => {
+    const document = parse(canonicalize('<root xmlns="urn:a"><p>text <b xmlns="">bold</b> more</p></root>'));
+
+    assert.equal(elementByLocalName(document, 'p').namespaceURI, 'urn:a');
+    assert.equal(elementByLocalName(document, 'b').namespaceURI, null);
+});
+
+test('SOAP response: unqualified result element and its xsi:type keep their meaning', () => {
+    const input = `<soap:Envelope xmlns:soap="${soap}" xmlns:xsi="${xsi}">
+  <soap:Body>
+    <m:GetResponse xmlns:m="urn:svc">
+      <Result xsi:type="m:Foo"><Value>1</Value></Result>
+    </m:GetResponse>
+  </soap:Body>
+</soap:Envelope>`;
+
+    const document = parse(canonicalize(input));
+
+    assert.equal(document.documentElement.namespaceURI, soap);
+    assert.equal(elementByLocalName(document, 'GetResponse').namespaceURI, 'urn:svc');
+    const result = elementByLocalName(document, 'Result');
+    assert.equal(result.namespaceURI, null);
+    assert.equal(elementByLocalName(document, 'Value').namespaceURI, null);
+    assert.deepEqual(resolveQName(result, result.getAttributeNS(xsi, 'type')), { uri: 'urn:svc', localName: 'Foo' });
+});
+
+test('QName prefixes follow renamed namespace prefixes', () => {
+    const input = `<x:root xmlns:x="urn:root" xmlns:t="urn:types" xmlns:i="${xsi}">
+  <x:item i:type="t:Widget"/>
+  <x:item i:type="x:Gadget"/>
+</x:root>`;
+
+    const document = parse(canonicalize(input));
+
+    const [widget, gadget] = Array.from(document.getElementsByTagName('*')).filter(e => e.localName === 'item');
+    assert.deepEqual(resolveQName(widget, widget.getAttributeNS(xsi, 'type')), { uri: 'urn:types', localName: 'Widget' });
+    assert.deepEqual(resolveQName(gadget, gadget.getAttributeNS(xsi, 'type')), { uri: 'urn:root', localName: 'Gadget' });
+});
+
+test('unprefixed xsi:type in the default namespace gets a prefix for that namespace', () => {
+    const document = parse(canonicalize(`<root xmlns="urn:a" xmlns:xsi="${xsi}"><item xsi:type="Foo"/></root>`));
+
+    const item = elementByLocalName(document, 'item');
+    assert.deepEqual(resolveQName(item, item.getAttributeNS(xsi, 'type')), { uri: 'urn:a', localName: 'Foo' });
+});
+
+test('QName text of a text-only element follows renamed prefixes', () => {
+    const input = `<env:Envelope xmlns:env="${soap}"><env:Body><env:Fault><faultcode>env:Server</faultcode></env:Fault></env:Body></env:Envelope>`;
+
+    const document = parse(canonicalize(input));
+
+    const faultcode = elementByLocalName(document, 'faultcode');
+    assert.deepEqual(resolveQName(faultcode, faultcode.textContent), { uri: soap, localName: 'Server' });
+});
+
+test('values that only look like QNames are left alone', () => {
+    const output = canonicalize('<root xmlns:a="urn:a"><a:item time="12:30" link="http://example.com" type="Foo">b:c</a:item></root>');
+
+    assert.match(output, /link="http:\/\/example\.com"/);
+    assert.match(output, /time="12:30"/);
+    assert.match(output, /type="Foo"/);
+    assert.match(output, />b:c</);
+});
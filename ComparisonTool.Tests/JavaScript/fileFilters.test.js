@@ -0,0 +1,158 @@
+// fileFilters.js decides in the browser which files of a selection are uploaded. These tests load it
+// (with the app.js helpers it uses) into a jsdom window and check the glob and .comparisonignore rules.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const scriptsPath = path.join(__dirname, '..', '..', 'ComparisonTool.Web', 'wwwroot', 'js');
+const { window } = new JSDOM('', { runScripts: 'outside-only' });
+window.eval(fs.readFileSync(path.join(scriptsPath, 'app.js'), 'utf8'));
+window.eval(fs.readFileSync(path.join(scriptsPath, 'fileFilters.js'), 'utf8'));
+
+function assertGlob(pattern, matching, notMatching) {
+    const matches = window.compileUploadGlob(pattern);
+    for (const p of matching) {
+        assert.equal(matches(p), true, `${pattern} should match ${p}`);
+    }
+    for (const p of notMatching) {
+        assert.equal(matches(p), false, `${pattern} should not match ${p}`);
+    }
+}
+
+// A selected file as the browser hands it over: its path starts with the picked folder's name
+function selectedFile(relativePath, content = '') {
+    return {
+        name: relativePath.split('/').pop(),
+        webkitRelativePath: relativePath,
+        size: content.length,
+        text: async () => content
+    };
+}
+
+async function filterSelection(files, options = {}) {
+    window.configureUploadFilters('test', options);
+    const result = await window.applyUploadFilters('test', files);
+    // Copied into this realm so deepEqual compares values, not the window's Array prototype
+    return {
+        included: Array.from(result.included, f => f.webkitRelativePath),
+        skipped: Object.fromEntries(Array.from(result.skipped, s => [s.path, s.reason]))
+    };
+}
+
+test('a pattern without a slash matches a name at any depth', () => {
+    assertGlob('*.json', ['a.json', 'x/y/a.json', 'x/a.JSON'], ['a.xml', 'a.json.bak']);
+});
+
+test('a leading slash anchors the pattern to the folder root', () => {
+    assertGlob('/a.xml', ['a.xml'], ['sub/a.xml']);
+});
+
+test('a pattern with a slash inside is anchored to the folder root', () => {
+    assertGlob('doc/*.xml', ['doc/a.xml'], ['x/doc/a.xml', 'doc/sub/a.xml']);
+});
+
+test('* and ? stay within one name', () => {
+    assertGlob('a?c/*.xml', ['abc/x.xml'], ['a/c/x.xml', 'abc/sub/x.xml']);
+});
+
+test('**/ matches zero or more folders', () => {
+    assertGlob('**/temp/*.xml', ['temp/a.xml', 'x/y/temp/a.xml'], ['temp/sub/a.xml', 'x/temp.xml']);
+    assertGlob('a/**/b.xml', ['a/b.xml', 'a/x/y/b.xml'], ['b.xml', 'x/a/b.xml']);
+});
+
+test('a trailing ** matches everything inside the folder', () => {
+    assertGlob('logs/**', ['logs/a.xml', 'logs/x/y.json'], ['other/logs.xml']);
+});
+
+test('a trailing slash matches folders only, with everything inside them', () => {
+    assertGlob('build/', ['build/a.xml', 'x/build/y/a.xml'], ['build', 'x/build']);
+});
+
+test('a pattern matching a folder also matches the files inside it', () => {
+    assertGlob('archive', ['archive', 'archive/a.xml', 'x/archive/b/c.xml'], ['archived/a.xml']);
+});
+
+test('[...] is a character class and [!...] its negation', () => {
+    assertGlob('file[0-2].xml', ['file0.xml', 'file2.xml'], ['file3.xml', 'filea.xml']);
+    assertGlob('file[!0-2].xml', ['file3.xml', 'filea.xml'], ['file0.xml', 'file2.xml', 'file/.xml']);
+});
+
+test('regular expression characters in a pattern are literal', () => {
+    assertGlob('a+b(1).xml', ['a+b(1).xml'], ['aab1.xml', 'a+b(1)xxml']);
+});
+
+test('an unclosed [ is a literal bracket', () => {
+    assertGlob('a[b.xml', ['a[b.xml'], ['ab.xml']);
+});
+
+test('ignore files skip blank lines and comments and unescape \\# and \\!', () => {
+    const rules = window.parseComparisonIgnore('# comment\n\n*.tmp.xml  \n\\#hash.xml\n\\!bang.xml\n!keep.tmp.xml\r\n');
+
+    assert.deepEqual(Array.from(rules, r => [r.pattern, r.negated]), [
+        ['*.tmp.xml', false],
+        ['\\#hash.xml', false],
+        ['\\!bang.xml', false],
+        ['!keep.tmp.xml', true]
+    ]);
+    assert.equal(rules[1].matches('#hash.xml'), true);
+    assert.equal(rules[2].matches('!bang.xml'), true);
+    assert.equal(rules[3].matches('keep.tmp.xml'), true);
+});
+
+test('! re-includes a file an earlier rule ignored; the last matching rule wins', async () => {
+    const { included, skipped } = await filterSelection([
+        selectedFile('picked/.comparisonignore', '*.json\n!keep.json\nsub/keep.json\n'),
+        selectedFile('picked/a.json'),
+        selectedFile('picked/keep.json'),
+        selectedFile('picked/sub/keep.json'),
+        selectedFile('picked/a.xml')
+    ]);
+
+    assert.deepEqual(included, ['picked/keep.json', 'picked/a.xml']);
+    assert.equal(skipped['picked/a.json'], 'Ignored by picked/.comparisonignore: *.json');
+    assert.equal(skipped['picked/sub/keep.json'], 'Ignored by picked/.comparisonignore: sub/keep.json');
+});
+
+test('an ignore file applies to its own folder and below, relative to that folder', async () => {
+    const { included, skipped } = await filterSelection([
+        selectedFile('picked/sub/.comparisonignore', '/local.xml\n'),
+        selectedFile('picked/local.xml'),
+        selectedFile('picked/sub/local.xml'),
+        selectedFile('picked/sub/deeper/local.xml')
+    ]);
+
+    assert.deepEqual(included, ['picked/local.xml', 'picked/sub/deeper/local.xml']);
+    assert.equal(skipped['picked/sub/local.xml'], 'Ignored by picked/sub/.comparisonignore: /local.xml');
+});
+
+test('a deeper ignore file overrides its parents, whatever order the files come in', async () => {
+    const { included, skipped } = await filterSelection([
+        selectedFile('picked/sub/.comparisonignore', '!*.json\ndrop.xml\n'),
+        selectedFile('picked/.comparisonignore', '*.json\n'),
+        selectedFile('picked/a.json'),
+        selectedFile('picked/sub/a.json'),
+        selectedFile('picked/drop.xml'),
+        selectedFile('picked/sub/drop.xml')
+    ]);
+
+    assert.deepEqual(included, ['picked/sub/a.json', 'picked/drop.xml']);
+    assert.equal(skipped['picked/a.json'], 'Ignored by picked/.comparisonignore: *.json');
+    assert.equal(skipped['picked/sub/drop.xml'], 'Ignored by picked/sub/.comparisonignore: drop.xml');
+});
+
+test('include and exclude patterns match paths below the picked folder', async () => {
+    const { included, skipped } = await filterSelection([
+        selectedFile('picked/orders/a.xml'),
+        selectedFile('picked/orders/draft/b.xml'),
+        selectedFile('picked/invoices/c.xml'),
+        selectedFile('picked/orders/notes.txt')
+    ], { include: ['/orders/'], exclude: ['draft/'] });
+
+    assert.deepEqual(included, ['picked/orders/a.xml']);
+    assert.equal(skipped['picked/orders/draft/b.xml'], 'Excluded by pattern draft/');
+    assert.equal(skipped['picked/invoices/c.xml'], 'Does not match any include pattern');
+    assert.equal(skipped['picked/orders/notes.txt'], 'Not an XML or JSON file');
+});
@@ -0,0 +1,151 @@
+using System.IO;
+using System.Text.Json;
+using ComparisonTool.Core.RequestComparison.Services;
+using FluentAssertions;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace ComparisonTool.Tests.Unit.RequestComparison;
+
+[TestClass]
+public class RequestBatchStorageTests : IDisposable
+{
+    private readonly string root;
+
+    public RequestBatchStorageTests()
+    {
+        this.root = Path.Combine(Path.GetTempPath(), "RequestBatchStorageTests_" + Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(this.root);
+    }
+
+    public void Dispose()
+    {
+        if (Directory.Exists(this.root))
+        {
+            Directory.Delete(this.root, true);
+        }
+    }
+
+    [TestMethod]
+    public void TryGetBatchPath_CreatedBatch_IsFoundForLaterRequests()
+    {
+        var batchId = RequestBatchStorage.CreateBatch(this.root);
+
+        RequestBatchStorage.TryGetBatchPath(this.root, batchId, out var batchPath).Should().BeTrue();
+        batchPath.Should().Be(Path.Combine(this.root, batchId));
+    }
+
+    [TestMethod]
+    [DataRow(null)]
+    [DataRow("")]
+    [DataRow("..")]
+    [DataRow("../outside")]
+    [DataRow("abc/")]
+    [DataRow("nothex12")]
+    [DataRow("0123abcd")]
+    [DataRow("0123456789abcdef0123456789abcdef0")]
+    public void TryGetBatchPath_InvalidOrUnknownId_IsNotFound(string? batchId)
+    {
+        RequestBatchStorage.CreateBatch(this.root);
+        Directory.CreateDirectory(Path.Combine(this.root, "nothex12"));
+
+        RequestBatchStorage.TryGetBatchPath(this.root, batchId, out var batchPath).Should().BeFalse();
+        batchPath.Should().BeEmpty();
+    }
+
+    [TestMethod]
+    [DataRow("request.json", "request.json")]
+    [DataRow("folder/sub/request.json", "folder/sub/request.json")]
+    [DataRow("folder\\request.json", "folder/request.json")]
+    [DataRow("_order.json", "_order.json")]
+    [DataRow("sub/_filelist.json", "sub/_filelist.json")]
+    public void TryGetFilePath_PathInsideBatch_IsKeptRelativeToBatch(string fileName, string expectedRelativePath)
+    {
+        var batchPath = Path.Combine(this.root, RequestBatchStorage.CreateBatch(this.root));
+
+        RequestBatchStorage.TryGetFilePath(batchPath, fileName, out var filePath).Should().BeTrue();
+        filePath.Should().Be(Path.Combine(batchPath, expectedRelativePath.Replace('/', Path.DirectorySeparatorChar)));
+    }
+
+    [TestMethod]
+    [DataRow("../request.json")]
+    [DataRow("folder/../../request.json")]
+    [DataRow("..\\request.json")]
+    [DataRow("_filelist.json")]
+    public void TryGetFilePath_PathOutsideBatchOrOnFileList_IsRejected(string fileName)
+    {
+        var batchPath = Path.Combine(this.root, RequestBatchStorage.CreateBatch(this.root));
+
+        RequestBatchStorage.TryGetFilePath(batchPath, fileName, out _).Should().BeFalse();
+    }
+
+    [TestMethod]
+    public void TryGetFilePath_AbsolutePath_IsRejected()
+    {
+        var batchPath = Path.Combine(this.root, RequestBatchStorage.CreateBatch(this.root));
+
+        RequestBatchStorage.TryGetFilePath(batchPath, Path.Combine(this.root, "request.json"), out _).Should().BeFalse();
+    }
+
+    [TestMethod]
+    public void ListFiles_ContinuedBatch_ListsEveryRequestFileButTheFileList()
+    {
+        var batchId = RequestBatchStorage.CreateBatch(this.root);
+        var batchPath = Path.Combine(this.root, batchId);
+        WriteBatchFile(batchPath, "_order.json");
+        WriteBatchFile(batchPath, RequestBatchStorage.FileListFileName);
+
+        // A later upload request continues the same batch
+        RequestBatchStorage.TryGetBatchPath(this.root, batchId, out var continuedPath).Should().BeTrue();
+        WriteBatchFile(continuedPath, "sub/_filelist.json");
+        WriteBatchFile(continuedPath, "b.json");
+
+        var files = RequestBatchStorage.ListFiles(batchPath);
+
+        files.Select(f => Path.GetRelativePath(batchPath, f).Replace(Path.DirectorySeparatorChar, '/'))
+            .Should().Equal("_order.json", "b.json", "sub/_filelist.json");
+    }
+
+    [TestMethod]
+    public async Task UpdateFileListAsync_SmallBatch_WritesNoList()
+    {
+        var batchPath = Path.Combine(this.root, RequestBatchStorage.CreateBatch(this.root));
+        WriteBatchFile(batchPath, "a.json");
+
+        var fileListPath = await RequestBatchStorage.UpdateFileListAsync(batchPath);
+
+        fileListPath.Should().BeNull();
+        File.Exists(Path.Combine(batchPath, RequestBatchStorage.FileListFileName)).Should().BeFalse();
+    }
+
+    [TestMethod]
+    public async Task UpdateFileListAsync_ContinuedBatchEndingWithSmallRequest_ListsEveryFile()
+    {
+        // A large selection arrives as a full request followed by a small one
+        var batchId = RequestBatchStorage.CreateBatch(this.root);
+        var batchPath = Path.Combine(this.root, batchId);
+        for (var i = 0; i < RequestBatchStorage.FileListThreshold + 50; i++)
+        {
+            WriteBatchFile(batchPath, $"first/{i:D3}.json");
+        }
+
+        (await RequestBatchStorage.UpdateFileListAsync(batchPath)).Should().NotBeNull();
+
+        RequestBatchStorage.TryGetBatchPath(this.root, batchId, out var continuedPath).Should().BeTrue();
+        WriteBatchFile(continuedPath, "last/a.json");
+        WriteBatchFile(continuedPath, "last/b.json");
+
+        var fileListPath = await RequestBatchStorage.UpdateFileListAsync(continuedPath);
+
+        var listed = JsonSerializer.Deserialize<List<string>>(File.ReadAllText(fileListPath!));
+        listed.Should().HaveCount(RequestBatchStorage.FileListThreshold + 52)
+            .And.Equal(RequestBatchStorage.ListFiles(batchPath))
+            .And.Contain(Path.Combine(batchPath, "last", "b.json"));
+    }
+
+    private static void WriteBatchFile(string batchPath, string relativePath)
+    {
+        var path = Path.Combine(batchPath, relativePath.Replace('/', Path.DirectorySeparatorChar));
+        Directory.CreateDirectory(Path.GetDirectoryName(path)!);
+        File.WriteAllText(path, "{}");
+    }
+}
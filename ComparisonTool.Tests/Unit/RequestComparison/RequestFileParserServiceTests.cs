@@ -135,6 +135,25 @@ public class RequestFileParserServiceTests : IDisposable
         result[0].RelativePath.Should().Be("request.json");
     }
 
+    [TestMethod]
+    public async Task ParseRequestBatchAsync_IncludesUnderscoreNamedRequestsButNotTheFileList()
+    {
+        // Arrange
+        var batchId = "underscorebatch" + Guid.NewGuid().ToString("N")[..6];
+        var batchPath = Path.Combine(Path.GetTempPath(), "ComparisonToolRequests", batchId);
+        Directory.CreateDirectory(batchPath);
+        this.createdPaths.Add(batchPath);
+
+        await File.WriteAllTextAsync(Path.Combine(batchPath, "_order.json"), "{\"order\": 1}");
+        await File.WriteAllTextAsync(Path.Combine(batchPath, RequestBatchStorage.FileListFileName), "[]");
+
+        // Act
+        var result = await this.service.ParseRequestBatchAsync(batchId);
+
+        // Assert
+        result.Should().ContainSingle().Which.RelativePath.Should().Be("_order.json");
+    }
+
     [TestMethod]
     public async Task ParseRequestBatchAsync_PreservesSubdirectoryStructure()
     {
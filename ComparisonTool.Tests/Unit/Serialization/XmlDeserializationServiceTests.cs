@@ -515,6 +515,30 @@ public class XmlDeserializationServiceTests
         stats.SerializerCacheSize.Should().BeGreaterThanOrEqualTo(0);
     }
 
+    [TestMethod]
+    public void GetExpectedRootElementName_WithXmlRootAttribute_ShouldReturnAttributeName()
+    {
+        // Act & Assert
+        service.GetExpectedRootElementName(typeof(NamespacedTestModel)).Should().Be("NamespacedModel");
+    }
+
+    [TestMethod]
+    public void GetExpectedRootElementName_WithoutXmlRootAttribute_ShouldReturnTypeName()
+    {
+        // Act & Assert
+        service.GetExpectedRootElementName(typeof(ComplexTestModelItem)).Should().Be("ComplexTestModelItem");
+    }
+
+    [TestMethod]
+    public void GetExpectedRootElementName_WithRegisteredRootElement_ShouldReturnRegisteredName()
+    {
+        // Arrange - the same registration RegisterDomainModelWithRootElement makes for SoapEnvelope
+        serializerFactory.RegisterType<SoapEnvelope>(() => serializerFactory.CreateNamespaceIgnorantSerializer<SoapEnvelope>("Envelope"));
+
+        // Act & Assert
+        service.GetExpectedRootElementName(typeof(SoapEnvelope)).Should().Be("Envelope");
+    }
+
     // Test helper classes
     [XmlRoot("TestModel")]
     public class TestModel
@@ -0,0 +1,179 @@
+using System.Security.Cryptography;
+using System.Text;
+using ComparisonTool.Web.Models;
+using ComparisonTool.Web.Services;
+using FluentAssertions;
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace ComparisonTool.Tests.Unit.Web;
+
+[TestClass]
+public sealed class UploadContentCacheTests
+{
+    private string tempDirectory = null!;
+    private string cacheRoot = null!;
+    private string sessionPath = null!;
+
+    [TestInitialize]
+    public void Setup()
+    {
+        tempDirectory = Path.Combine(Path.GetTempPath(), "UploadContentCacheTests_" + Guid.NewGuid().ToString("N"));
+        cacheRoot = Path.Combine(tempDirectory, "cache");
+        sessionPath = Path.Combine(tempDirectory, "session");
+        Directory.CreateDirectory(sessionPath);
+    }
+
+    [TestCleanup]
+    public void Cleanup()
+    {
+        if (Directory.Exists(tempDirectory))
+        {
+            Directory.Delete(tempDirectory, true);
+        }
+    }
+
+    [TestMethod]
+    public async Task AttachCachedFilesAsync_StoredContent_IsCopiedIntoSession()
+    {
+        var cache = CreateCache();
+        var uploaded = WriteFile("first/a.xml", "<a>1</a>");
+        await cache.AddAsync(new[] { uploaded });
+
+        var attached = await cache.AttachCachedFilesAsync(sessionPath, new[] { Entry("second/a.xml", "<a>1</a>") });
+
+        attached.Should().Equal("second/a.xml");
+        File.ReadAllText(Path.Combine(sessionPath, "second", "a.xml")).Should().Be("<a>1</a>");
+    }
+
+    [TestMethod]
+    public async Task AttachCachedFilesAsync_UnknownHashOrWrongSize_IsMiss()
+    {
+        var cache = CreateCache();
+        await cache.AddAsync(new[] { WriteFile("a.xml", "<a>1</a>") });
+
+        var wrongSize = Entry("b.xml", "<a>1</a>");
+        wrongSize.Size++;
+        var attached = await cache.AttachCachedFilesAsync(sessionPath, new[]
+        {
+            Entry("c.xml", "<c/>"),
+            wrongSize,
+            new UploadContentEntry { Path = "d.xml", Hash = "../../not-a-hash", Size = 3 },
+        });
+
+        attached.Should().BeEmpty();
+        File.Exists(Path.Combine(sessionPath, "b.xml")).Should().BeFalse();
+        File.Exists(Path.Combine(sessionPath, "c.xml")).Should().BeFalse();
+    }
+
+    [TestMethod]
+    public async Task AttachCachedFilesAsync_PathOutsideSession_IsNotWritten()
+    {
+        var cache = CreateCache();
+        await cache.AddAsync(new[] { WriteFile("a.xml", "<a>1</a>") });
+
+        var attached = await cache.AttachCachedFilesAsync(sessionPath, new[] { Entry("../escape.xml", "<a>1</a>") });
+
+        attached.Should().BeEmpty();
+        File.Exists(Path.Combine(tempDirectory, "escape.xml")).Should().BeFalse();
+    }
+
+    [TestMethod]
+    public async Task AttachCachedFilesAsync_CorruptedEntry_IsRemovedAndReportedMissing()
+    {
+        var cache = CreateCache();
+        await cache.AddAsync(new[] { WriteFile("a.xml", "<a>1</a>") });
+        var entry = Entry("a.xml", "<a>1</a>");
+        var entryPath = Path.Combine(cacheRoot, entry.Hash[..2], entry.Hash);
+
+        // Same length, different bytes
+        File.WriteAllText(entryPath, "<a>2</a>");
+
+        var attached = await cache.AttachCachedFilesAsync(sessionPath, new[] { entry });
+
+        attached.Should().BeEmpty();
+        File.Exists(entryPath).Should().BeFalse();
+        File.Exists(Path.Combine(sessionPath, "a.xml")).Should().BeFalse();
+    }
+
+    [TestMethod]
+    public async Task AddAsync_ConcurrentUploadsOfSameContent_StoreOneEntry()
+    {
+        var cache = CreateCache();
+        var files = Enumerable.Range(0, 8)
+            .Select(i => WriteFile($"upload{i}/same.xml", "<same>content</same>"))
+            .ToList();
+
+        await Task.WhenAll(files.Select(f => Task.Run(() => cache.AddAsync(new[] { f }))));
+
+        var entries = Directory.GetFiles(cacheRoot, "*", SearchOption.AllDirectories);
+        entries.Should().ContainSingle().Which.Should().EndWith(Entry("x", "<same>content</same>").Hash);
+
+        var attached = await cache.AttachCachedFilesAsync(sessionPath, new[] { Entry("same.xml", "<same>content</same>") });
+        attached.Should().Equal("same.xml");
+    }
+
+    [TestMethod]
+    public async Task AddAsync_OverSizeLimit_EvictsLeastRecentlyUsed()
+    {
+        // Three 100-byte entries fit in 250 bytes only after the oldest is evicted
+        var cache = CreateCache(maxCacheBytes: 250);
+        var oldest = WriteFile("a.xml", new string('a', 100));
+        var reused = WriteFile("b.xml", new string('b', 100));
+        await cache.AddAsync(new[] { oldest, reused });
+        SetEntryLastUse(Entry("a.xml", new string('a', 100)), DateTime.UtcNow.AddMinutes(-10));
+        SetEntryLastUse(Entry("b.xml", new string('b', 100)), DateTime.UtcNow.AddMinutes(-20));
+
+        // Reuse makes b the most recently used of the two
+        await cache.AttachCachedFilesAsync(sessionPath, new[] { Entry("b.xml", new string('b', 100)) });
+
+        await cache.AddAsync(new[] { WriteFile("c.xml", new string('c', 100)) });
+
+        var attached = await cache.AttachCachedFilesAsync(Path.Combine(tempDirectory, "next"), new[]
+        {
+            Entry("a.xml", new string('a', 100)),
+            Entry("b.xml", new string('b', 100)),
+            Entry("c.xml", new string('c', 100)),
+        });
+        attached.Should().Equal("b.xml", "c.xml");
+    }
+
+    [TestMethod]
+    public async Task EvictAsync_EntryPastMaxAge_IsRemoved()
+    {
+        var cache = CreateCache(maxEntryAge: TimeSpan.FromDays(1));
+        await cache.AddAsync(new[] { WriteFile("old.xml", "<old/>"), WriteFile("new.xml", "<new/>") });
+        SetEntryLastUse(Entry("old.xml", "<old/>"), DateTime.UtcNow.AddDays(-2));
+
+        // A fresh instance has not measured the store yet, so it runs a full pass
+        await CreateCache(maxEntryAge: TimeSpan.FromDays(1)).EvictAsync();
+
+        var attached = await cache.AttachCachedFilesAsync(sessionPath, new[] { Entry("old.xml", "<old/>"), Entry("new.xml", "<new/>") });
+        attached.Should().Equal("new.xml");
+    }
+
+    private UploadContentCache CreateCache(long maxCacheBytes = UploadContentCache.DefaultMaxCacheBytes, TimeSpan? maxEntryAge = null) =>
+        new(cacheRoot, NullLogger<UploadContentCache>.Instance, maxCacheBytes, maxEntryAge);
+
+    private string WriteFile(string relativePath, string content)
+    {
+        var path = Path.Combine(tempDirectory, "uploads", relativePath);
+        Directory.CreateDirectory(Path.GetDirectoryName(path)!);
+        File.WriteAllText(path, content);
+        return path;
+    }
+
+    private void SetEntryLastUse(UploadContentEntry entry, DateTime lastUseUtc) =>
+        File.SetLastWriteTimeUtc(Path.Combine(cacheRoot, entry.Hash[..2], entry.Hash), lastUseUtc);
+
+    private static UploadContentEntry Entry(string path, string content)
+    {
+        var bytes = Encoding.UTF8.GetBytes(content);
+        return new UploadContentEntry
+        {
+            Path = path,
+            Hash = Convert.ToHexString(SHA256.HashData(bytes)).ToLowerInvariant(),
+            Size = bytes.Length,
+        };
+    }
+}
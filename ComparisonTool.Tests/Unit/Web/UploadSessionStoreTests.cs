@@ -0,0 +1,272 @@
+using System.Text;
+using ComparisonTool.Web.Services;
+using FluentAssertions;
+using Microsoft.AspNetCore.Http;
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.VisualStudio.TestTools.UnitTesting;
+
+namespace ComparisonTool.Tests.Unit.Web;
+
+[TestClass]
+public sealed class UploadSessionStoreTests
+{
+    private string uploadsRoot = null!;
+    private UploadSessionStore store = null!;
+
+    [TestInitialize]
+    public void Setup()
+    {
+        uploadsRoot = Path.Combine(Path.GetTempPath(), "UploadSessionStoreTests_" + Guid.NewGuid().ToString("N"));
+        store = new UploadSessionStore(uploadsRoot, NullLogger<UploadSessionStore>.Instance);
+    }
+
+    [TestCleanup]
+    public void Cleanup()
+    {
+        if (Directory.Exists(uploadsRoot))
+        {
+            Directory.Delete(uploadsRoot, true);
+        }
+    }
+
+    [TestMethod]
+    public void TryGetSession_CreatedSession_IsFound()
+    {
+        var session = store.CreateSession();
+
+        store.TryGetSession(session.SessionId, out var found).Should().BeTrue();
+        found!.FilesPath.Should().Be(session.FilesPath);
+    }
+
+    [TestMethod]
+    [DataRow("")]
+    [DataRow("0123456789abcdef0123456789abcdef")]
+    [DataRow("..")]
+    [DataRow("../ComparisonToolUploads")]
+    [DataRow("0123456789abcdef0123456789abcde/")]
+    public void TryGetSession_UnknownOrInvalidId_IsNotFound(string sessionId)
+    {
+        store.CreateSession();
+
+        store.TryGetSession(sessionId, out var session).Should().BeFalse();
+        session.Should().BeNull();
+    }
+
+    [TestMethod]
+    public void TryGetSession_DeletedSession_IsNotFound()
+    {
+        var session = store.CreateSession();
+
+        store.DeleteSession(session).Should().BeTrue();
+
+        store.TryGetSession(session.SessionId, out _).Should().BeFalse();
+        Directory.Exists(session.SessionPath).Should().BeFalse();
+    }
+
+    [TestMethod]
+    public void TryGetSession_AfterRestart_IsFoundOnDisk()
+    {
+        var session = store.CreateSession();
+
+        // A stored upload is checked against the server, possibly after the app was restarted
+        var restarted = new UploadSessionStore(uploadsRoot, NullLogger<UploadSessionStore>.Instance);
+
+        restarted.TryGetSession(session.SessionId, out var found).Should().BeTrue();
+        found!.SessionPath.Should().Be(session.SessionPath);
+    }
+
+    [TestMethod]
+    public async Task CompleteAsync_ResumedSession_ListsBatchesFromBeforeAndAfterInterruption()
+    {
+        var session = store.CreateSession();
+        await store.SaveFilesAsync(session, CreateForm(("a.xml", "<a/>")));
+
+        var restarted = new UploadSessionStore(uploadsRoot, NullLogger<UploadSessionStore>.Instance);
+        restarted.TryGetSession(session.SessionId, out var resumed).Should().BeTrue();
+        await restarted.SaveFilesAsync(resumed!, CreateForm(("b.xml", "<b/>")));
+
+        var manifest = await restarted.CompleteAsync(resumed!);
+
+        manifest.SessionId.Should().Be(session.SessionId);
+        manifest.Files.Should().Equal("a.xml", "b.xml");
+    }
+
+    [TestMethod]
+    public async Task CompleteAsync_CompletedSessionReused_ReturnsSameManifest()
+    {
+        var session = store.CreateSession();
+        await store.SaveFilesAsync(session, CreateForm(("a.xml", "<a/>"), ("sub/b.xml", "<b/>")));
+        var first = await store.CompleteAsync(session);
+
+        store.TryGetSession(session.SessionId, out var reused).Should().BeTrue();
+        var second = await store.CompleteAsync(reused!);
+
+        second.Should().BeEquivalentTo(first);
+    }
+
+    [TestMethod]
+    [DataRow("../escape.xml")]
+    [DataRow("folder/../../escape.xml")]
+    [DataRow("..\\escape.xml")]
+    public async Task SaveFilesAsync_PathOutsideSession_RejectsBatchWithoutWriting(string fileName)
+    {
+        var session = store.CreateSession();
+        var files = CreateForm(("ok.xml", "<ok/>"), (fileName, "<escape/>"));
+
+        var action = () => store.SaveFilesAsync(session, files);
+
+        await action.Should().ThrowAsync<ArgumentException>();
+        Directory.EnumerateFiles(uploadsRoot, "*.xml", SearchOption.AllDirectories).Should().BeEmpty();
+    }
+
+    [TestMethod]
+    public async Task SaveFilesAsync_OriginalOutsideOriginalsFolder_RejectsBatchWithoutWriting()
+    {
+        var session = store.CreateSession();
+        var files = CreateForm(("ok.xml", "<ok/>"));
+        AddOriginal(files, "../../files/ok.xml", "<escape/>");
+
+        var action = () => store.SaveFilesAsync(session, files);
+
+        await action.Should().ThrowAsync<ArgumentException>();
+        Directory.EnumerateFiles(uploadsRoot, "*.xml", SearchOption.AllDirectories).Should().BeEmpty();
+    }
+
+    [TestMethod]
+    public void TryGetFilePath_AbsolutePath_IsRejected()
+    {
+        var session = store.CreateSession();
+        var outside = Path.Combine(Path.GetTempPath(), "outside.xml");
+
+        store.TryGetFilePath(session, outside, out _).Should().BeFalse();
+        store.TryGetFilePath(session, "nested/inside.xml", out var inside).Should().BeTrue();
+        inside.Should().StartWith(session.FilesPath);
+    }
+
+    [TestMethod]
+    public async Task SaveFilesAsync_SkipsUnsupportedFilesAndKeepsFolders()
+    {
+        var session = store.CreateSession();
+
+        var saved = await store.SaveFilesAsync(session, CreateForm(
+            ("a/one.xml", "<one/>"),
+            ("a/b/two.json", "{}"),
+            ("notes.txt", "ignored")));
+
+        saved.Should().HaveCount(2);
+        File.ReadAllText(Path.Combine(session.FilesPath, "a", "one.xml")).Should().Be("<one/>");
+        File.Exists(Path.Combine(session.FilesPath, "a", "b", "two.json")).Should().BeTrue();
+        File.Exists(Path.Combine(session.FilesPath, "notes.txt")).Should().BeFalse();
+    }
+
+    [TestMethod]
+    public async Task CompleteAsync_ListsEveryUploadedFileIncludingUnderscoreNames()
+    {
+        var session = store.CreateSession();
+        await store.SaveFilesAsync(session, CreateForm(
+            ("_order.xml", "<order/>"),
+            ("b/_session.json", "{}"),
+            ("a/x.xml", "<x/>")));
+        await store.SaveFilesAsync(session, CreateForm(("_manifest.json", "[]")));
+
+        var manifest = await store.CompleteAsync(session);
+
+        manifest.SessionId.Should().Be(session.SessionId);
+        manifest.RootPath.Should().Be(session.FilesPath);
+        manifest.Files.Should().Equal("_manifest.json", "_order.xml", "a/x.xml", "b/_session.json");
+        manifest.Uploaded.Should().Be(4);
+        manifest.Cached.Should().Be(0);
+        manifest.Canonicalized.Should().BeEmpty();
+    }
+
+    [TestMethod]
+    public async Task CompleteAsync_ResentBatch_IsListedOnce()
+    {
+        var session = store.CreateSession();
+        await store.SaveFilesAsync(session, CreateForm(("a.xml", "<first/>")));
+        await store.SaveFilesAsync(session, CreateForm(("a.xml", "<second/>")));
+
+        var manifest = await store.CompleteAsync(session);
+
+        manifest.Files.Should().Equal("a.xml");
+        File.ReadAllText(Path.Combine(session.FilesPath, "a.xml")).Should().Be("<second/>");
+    }
+
+    [TestMethod]
+    public async Task CompleteAsync_ReportsCachedFiles()
+    {
+        var session = store.CreateSession();
+        Directory.CreateDirectory(Path.Combine(session.FilesPath, "c"));
+        File.WriteAllText(Path.Combine(session.FilesPath, "c", "cached.xml"), "<cached/>");
+        await store.AddCachedFilesAsync(session, new[] { "c/cached.xml" });
+        await store.SaveFilesAsync(session, CreateForm(("new.xml", "<new/>")));
+
+        var manifest = await store.CompleteAsync(session);
+
+        manifest.Files.Should().Equal("c/cached.xml", "new.xml");
+        manifest.Cached.Should().Be(1);
+    }
+
+    [TestMethod]
+    public async Task SaveFilesAsync_Originals_AreKeptApartAndFoundForTheirUploadedFile()
+    {
+        var session = store.CreateSession();
+        var files = CreateForm(("a/one.xml", "<one/>"), ("two.xml", "<two/>"));
+        AddOriginal(files, "a/one.xml", "<one   />");
+
+        var saved = await store.SaveFilesAsync(session, files);
+        var manifest = await store.CompleteAsync(session);
+
+        saved.Should().HaveCount(2);
+        manifest.Files.Should().Equal("a/one.xml", "two.xml");
+        manifest.Canonicalized.Should().Equal("a/one.xml");
+
+        var original = store.FindCanonicalizedOriginal(Path.Combine(session.FilesPath, "a", "one.xml"));
+        original.Should().NotBeNull();
+        File.ReadAllText(original!).Should().Be("<one   />");
+        store.FindCanonicalizedOriginal(Path.Combine(session.FilesPath, "two.xml")).Should().BeNull();
+    }
+
+    [TestMethod]
+    public async Task SaveFilesAsync_UserFolderNamedLikeOriginals_IsAnOrdinaryUpload()
+    {
+        var session = store.CreateSession();
+
+        await store.SaveFilesAsync(session, CreateForm(("_originals/a.xml", "<a/>"), ("originals/b.xml", "<b/>")));
+        var manifest = await store.CompleteAsync(session);
+
+        manifest.Files.Should().Equal("_originals/a.xml", "originals/b.xml");
+        manifest.Canonicalized.Should().BeEmpty();
+        store.FindCanonicalizedOriginal(Path.Combine(session.FilesPath, "_originals", "a.xml")).Should().BeNull();
+    }
+
+    [TestMethod]
+    public void FindCanonicalizedOriginal_PathOutsideSessionFiles_ReturnsNull()
+    {
+        var session = store.CreateSession();
+        Directory.CreateDirectory(Path.Combine(session.MetadataPath, "originals"));
+        File.WriteAllText(Path.Combine(session.MetadataPath, "originals", "a.xml"), "<a/>");
+
+        store.FindCanonicalizedOriginal(Path.Combine(session.MetadataPath, "a.xml")).Should().BeNull();
+        store.FindCanonicalizedOriginal(Path.Combine(Path.GetTempPath(), "a.xml")).Should().BeNull();
+        store.FindCanonicalizedOriginal(string.Empty).Should().BeNull();
+    }
+
+    private static FormFileCollection CreateForm(params (string FileName, string Content)[] files)
+    {
+        var collection = new FormFileCollection();
+        foreach (var (fileName, content) in files)
+        {
+            var bytes = Encoding.UTF8.GetBytes(content);
+            collection.Add(new FormFile(new MemoryStream(bytes), 0, bytes.Length, "files", fileName));
+        }
+
+        return collection;
+    }
+
+    private static void AddOriginal(FormFileCollection collection, string fileName, string content)
+    {
+        var bytes = Encoding.UTF8.GetBytes(content);
+        collection.Add(new FormFile(new MemoryStream(bytes), 0, bytes.Length, UploadSessionStore.CanonicalizedOriginalsFormField, fileName));
+    }
+}
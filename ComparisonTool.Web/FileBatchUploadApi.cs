@@ -1,195 +1,125 @@
 namespace ComparisonTool.Web;
 
 using System;
-using System.Buffers;
-using System.Collections.Concurrent;
 using System.Collections.Generic;
-using System.IO;
 using System.Linq;
-using System.Text.Json;
-using System.Threading.Tasks;
+using ComparisonTool.Web.Models;
+using ComparisonTool.Web.Services;
 using Microsoft.AspNetCore.Builder;
 using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
 
+/// <summary>
+/// Upload sessions: one server folder per Expected/Actual upload. The client opens a session, attaches
+/// every batch to it and finalizes it to receive a single manifest of relative paths.
+/// </summary>
 public static class FileBatchUploadApi
 {
-    private const int BufferSize = 81920; // 80KB buffer for streaming
-
-    // Shared buffer pool to reduce GC pressure during file uploads
-    private static readonly ArrayPool<byte> BufferPool = ArrayPool<byte>.Shared;
-
     public static void MapFileBatchUploadApi(this WebApplication app)
     {
-        app.MapPost("/api/upload/batch", async (HttpRequest request) =>
+        app.MapPost("/api/upload/sessions", (UploadSessionStore sessions) =>
         {
-            if (!request.HasFormContentType)
+            var session = sessions.CreateSession();
+
+            return Results.Ok(new
             {
-                return Results.BadRequest("Content-Type must be multipart/form-data");
+                sessionId = session.SessionId,
+            });
+        });
+
+        // Attach files the server already has (by SHA-256) so the client only uploads the rest
+        app.MapPost("/api/upload/sessions/{sessionId}/cached-files", async (
+            string sessionId,
+            [FromBody] UploadContentCheckRequest check,
+            UploadSessionStore sessions,
+            UploadContentCache contentCache) =>
+        {
+            if (!sessions.TryGetSession(sessionId, out var session))
+            {
+                return Results.NotFound($"Upload session {sessionId} not found");
             }
 
-            var form = await request.ReadFormAsync().ConfigureAwait(false);
-            var files = form.Files;
-            var uploadedFiles = new ConcurrentBag<string>();
-            var tempPath = Path.Combine(Path.GetTempPath(), "ComparisonToolUploads");
+            var attached = await contentCache.AttachCachedFilesAsync(session.FilesPath, check.Files).ConfigureAwait(false);
 
-            // NOTE: Cleanup moved to application startup to avoid race conditions
-            // during parallel batch uploads. Old files will be cleaned on next app start.
+            // Remember which files came from the cache so the manifest can report them
+            await sessions.AddCachedFilesAsync(session, attached).ConfigureAwait(false);
 
-            // Create the uploads directory if it doesn't exist
-            if (!Directory.Exists(tempPath))
+            var attachedSet = new HashSet<string>(attached, StringComparer.Ordinal);
+            return Results.Ok(new
             {
-                Directory.CreateDirectory(tempPath);
-            }
-
-            // Use a unique subfolder for this upload batch to avoid name conflicts
-            var batchId = Guid.NewGuid().ToString("N").Substring(0, 8);
-            var batchPath = Path.Combine(tempPath, batchId);
-            Directory.CreateDirectory(batchPath);
+                attached = attached.Count,
+                missing = check.Files.Select(f => f.Path).Where(p => !attachedSet.Contains(p)).ToList(),
+            });
+        });
 
-            // Pre-create all needed directories to avoid lock contention
-            var directories = new HashSet<string>(StringComparer.Ordinal);
-            foreach (var file in files)
+        app.MapPost("/api/upload/sessions/{sessionId}/batches", async (
+            string sessionId,
+            HttpRequest request,
+            UploadSessionStore sessions,
+            UploadContentCache contentCache) =>
+        {
+            if (!sessions.TryGetSession(sessionId, out var session))
             {
-                if (!file.FileName.EndsWith(".xml", StringComparison.OrdinalIgnoreCase) &&
-                    !file.FileName.EndsWith(".json", StringComparison.OrdinalIgnoreCase))
-                {
-                    continue;
-                }
-
-                var filePath = file.FileName.Replace('\\', Path.DirectorySeparatorChar).Replace('/', Path.DirectorySeparatorChar);
-                var destPath = Path.Combine(batchPath, filePath);
-                var destDir = Path.GetDirectoryName(destPath) ?? batchPath;
-                directories.Add(destDir);
+                return Results.NotFound($"Upload session {sessionId} not found");
             }
 
-            // Create directories in parallel (though this is usually fast)
-            foreach (var dir in directories)
+            if (!request.HasFormContentType)
             {
-                Directory.CreateDirectory(dir);
+                return Results.BadRequest("Content-Type must be multipart/form-data");
             }
 
-            // Process files in parallel with controlled concurrency
-            var parallelOptions = new ParallelOptions
-            {
-                MaxDegreeOfParallelism = Math.Min(Environment.ProcessorCount * 2, 16),
-            };
+            var form = await request.ReadFormAsync().ConfigureAwait(false);
 
-            await Parallel.ForEachAsync(files, parallelOptions, async (file, ct) =>
-            {
-                // Only accept supported files (XML and JSON)
-                if (!file.FileName.EndsWith(".xml", StringComparison.OrdinalIgnoreCase) &&
-                    !file.FileName.EndsWith(".json", StringComparison.OrdinalIgnoreCase))
-                {
-                    return;
-                }
-
-                try
-                {
-                    // Preserve folder structure by creating subdirectories
-                    var filePath = file.FileName.Replace('\\', Path.DirectorySeparatorChar).Replace('/', Path.DirectorySeparatorChar);
-                    var destPath = Path.Combine(batchPath, filePath);
-
-                    // Use buffered streaming with pooled buffer to reduce memory pressure
-                    var buffer = BufferPool.Rent(BufferSize);
-                    try
-                    {
-                        var sourceStream = file.OpenReadStream();
-                        await using (sourceStream.ConfigureAwait(false))
-                        {
-                            await using var destStream = new FileStream(
-                                destPath,
-                                FileMode.Create,
-                                FileAccess.Write,
-                                FileShare.None,
-                                BufferSize,
-                                FileOptions.Asynchronous | FileOptions.SequentialScan);
-
-                            int bytesRead;
-                            while ((bytesRead = await sourceStream.ReadAsync(buffer.AsMemory(0, BufferSize), ct)) > 0)
-                            {
-                                await destStream.WriteAsync(buffer.AsMemory(0, bytesRead), ct);
-                            }
-                        }
-                    }
-                    finally
-                    {
-                        BufferPool.Return(buffer);
-                    }
-
-                    // Store the full path for later use
-                    uploadedFiles.Add(destPath);
-                }
-                catch (Exception)
-                {
-                    // Log exception and continue with next file
-                }
-            }).ConfigureAwait(false);
-
-            var sortedFiles = uploadedFiles.OrderBy(f => f, StringComparer.Ordinal).ToList();
-
-            // For large file sets, don't return the entire list to avoid memory pressure
-            // Instead, write to a temporary file and return its location
-            if (sortedFiles.Count > 100)
+            IReadOnlyList<string> uploadedFiles;
+            try
             {
-                var fileListPath = Path.Combine(batchPath, "_filelist.json");
-                await File.WriteAllTextAsync(fileListPath, JsonSerializer.Serialize(sortedFiles)).ConfigureAwait(false);
-
-                return Results.Ok(new
-                {
-                    uploaded = sortedFiles.Count,
-                    batchId = batchId,
-                    fileListPath = fileListPath,
-                });
+                uploadedFiles = await sessions.SaveFilesAsync(session, form.Files, request.HttpContext.RequestAborted).ConfigureAwait(false);
             }
-            else
+            catch (ArgumentException ex)
             {
-                // For smaller sets, return the list directly
-                return Results.Ok(new
-                {
-                    uploaded = sortedFiles.Count,
-                    files = sortedFiles,
-                });
+                return Results.BadRequest(ex.Message);
             }
+
+            await contentCache.AddAsync(uploadedFiles).ConfigureAwait(false);
+
+            return Results.Ok(new
+            {
+                uploaded = uploadedFiles.Count,
+            });
         });
 
-        // Add an endpoint to get the file list for a specific batch
-        app.MapGet("/api/upload/batch/{batchId}", (string batchId) =>
+        app.MapPost("/api/upload/sessions/{sessionId}/complete", async (string sessionId, UploadSessionStore sessions) =>
         {
-            // Basic validation to prevent obvious path traversal in batchId
-            if (string.IsNullOrWhiteSpace(batchId) ||
-                batchId.Contains("..", StringComparison.Ordinal) ||
-                batchId.Contains(Path.DirectorySeparatorChar, StringComparison.Ordinal) ||
-                batchId.Contains(Path.AltDirectorySeparatorChar, StringComparison.Ordinal))
+            if (!sessions.TryGetSession(sessionId, out var session))
             {
-                return Results.BadRequest("Invalid batch identifier.");
+                return Results.NotFound($"Upload session {sessionId} not found");
             }
 
-            var tempPath = Path.Combine(Path.GetTempPath(), "ComparisonToolUploads");
-            var uploadsRoot = Path.GetFullPath(tempPath);
-            var uploadsRootNormalized = uploadsRoot.TrimEnd(Path.DirectorySeparatorChar, Path.AltDirectorySeparatorChar)
-                + Path.DirectorySeparatorChar;
-            var batchPath = Path.GetFullPath(Path.Combine(uploadsRootNormalized, batchId));
+            var manifest = await sessions.CompleteAsync(session).ConfigureAwait(false);
+            return Results.Ok(manifest);
+        });
 
-            // Ensure the resolved batchPath stays within the uploads root to prevent path traversal
-            if (!batchPath.StartsWith(uploadsRootNormalized, StringComparison.OrdinalIgnoreCase))
+        // Checked before an upload stored in the browser is resumed or reused
+        app.MapGet("/api/upload/sessions/{sessionId}", (string sessionId, UploadSessionStore sessions) =>
+        {
+            if (!sessions.TryGetSession(sessionId, out var session))
             {
-                return Results.BadRequest("Invalid batch identifier.");
+                return Results.NotFound($"Upload session {sessionId} not found");
             }
 
-            var fileListPath = Path.Combine(batchPath, "_filelist.json");
+            return Results.Ok(new { sessionId = session.SessionId });
+        });
 
-            if (!File.Exists(fileListPath))
+        // Discard a session that belongs to a cancelled upload
+        app.MapDelete("/api/upload/sessions/{sessionId}", (string sessionId, UploadSessionStore sessions) =>
+        {
+            if (!sessions.TryGetSession(sessionId, out var session))
             {
-                return Results.NotFound($"Batch {batchId} not found");
+                return Results.NotFound($"Upload session {sessionId} not found");
             }
 
-            var fileList = JsonSerializer.Deserialize<List<string>>(
-                File.ReadAllText(fileListPath)) ?? new List<string>();
-
-            return Results.Ok(new
-            {
-                files = fileList,
-            });
+            // Files still locked - the folder is left for the startup cleanup to remove
+            return sessions.DeleteSession(session) ? Results.NoContent() : Results.Accepted();
         });
     }
 }
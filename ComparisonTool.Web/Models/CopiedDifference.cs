@@ -0,0 +1,28 @@
+namespace ComparisonTool.Web.Models;
+
+/// <summary>
+/// A difference copied from a diff view (wwwroot/js/diffClipboard.js), read back by "Paste as rule".
+/// </summary>
+public class CopiedDifference
+{
+    /// <summary>Gets or sets the property path as shown in the difference, e.g. <c>Orders[2].Total</c>.</summary>
+    public string PropertyPath { get; set; } = string.Empty;
+
+    /// <summary>Gets or sets the property path with collection indexes as <c>[*]</c>, the form rules use.</summary>
+    public string NormalizedPath { get; set; } = string.Empty;
+
+    /// <summary>Gets or sets the last segment of the path without indexes, e.g. <c>Total</c>.</summary>
+    public string PropertyName { get; set; } = string.Empty;
+
+    /// <summary>Gets or sets the XPath-style path, e.g. <c>/Orders[3]/Total</c>.</summary>
+    public string? XPath { get; set; }
+
+    /// <summary>Gets or sets the Expected value, when the copy came from a difference rather than a bare path.</summary>
+    public string? Expected { get; set; }
+
+    /// <summary>Gets or sets the Actual value, when the copy came from a difference rather than a bare path.</summary>
+    public string? Actual { get; set; }
+
+    /// <summary>Gets or sets why the clipboard could not be read as a difference.</summary>
+    public string? Error { get; set; }
+}
@@ -0,0 +1,25 @@
+namespace ComparisonTool.Web.Models;
+
+/// <summary>
+/// Content hashes of the files a client is about to upload into an upload session.
+/// </summary>
+public class UploadContentCheckRequest
+{
+    /// <summary>Gets or sets the files to check against the content cache.</summary>
+    public List<UploadContentEntry> Files { get; set; } = new();
+}
+
+/// <summary>
+/// A file identified by its relative path in the upload and the SHA-256 of its content.
+/// </summary>
+public class UploadContentEntry
+{
+    /// <summary>Gets or sets the relative path of the file inside the upload.</summary>
+    public string Path { get; set; } = string.Empty;
+
+    /// <summary>Gets or sets the lowercase hex SHA-256 hash of the file content.</summary>
+    public string Hash { get; set; } = string.Empty;
+
+    /// <summary>Gets or sets the file size in bytes.</summary>
+    public long Size { get; set; }
+}
@@ -0,0 +1,20 @@
+namespace ComparisonTool.Web.Models;
+
+/// <summary>
+/// Which files of an Expected/Actual selection are uploaded. Patterns are globs relative to the picked
+/// folder ('*' within a name, '**' across folders); a .comparisonignore file in the selection is applied as well.
+/// </summary>
+public class UploadFileFilter
+{
+    /// <summary>Gets or sets the patterns a file has to match to be uploaded; empty includes every XML/JSON file.</summary>
+    public List<string> Include { get; set; } = new();
+
+    /// <summary>Gets or sets the patterns that skip a file even when it matches an include pattern.</summary>
+    public List<string> Exclude { get; set; } = new();
+
+    /// <summary>Gets or sets the smallest file size in bytes that is uploaded, or null for no minimum.</summary>
+    public long? MinSizeBytes { get; set; }
+
+    /// <summary>Gets or sets the largest file size in bytes that is uploaded, or null for no maximum.</summary>
+    public long? MaxSizeBytes { get; set; }
+}
@@ -0,0 +1,16 @@
+namespace ComparisonTool.Web.Models;
+
+/// <summary>
+/// An Expected/Actual file pair confirmed in the pairing preview, resolved to the uploaded files.
+/// </summary>
+public class UploadFilePair
+{
+    /// <summary>Gets or sets the server path of the uploaded Expected file.</summary>
+    public string ExpectedPath { get; set; } = string.Empty;
+
+    /// <summary>Gets or sets the server path of the uploaded Actual file.</summary>
+    public string ActualPath { get; set; } = string.Empty;
+
+    /// <summary>Gets or sets the Expected file's path relative to its upload, used to label the pair.</summary>
+    public string RelativePath { get; set; } = string.Empty;
+}
@@ -0,0 +1,58 @@
+namespace ComparisonTool.Web.Models;
+
+/// <summary>
+/// A row rendered by the virtualized line view (wwwroot/js/virtualRows.js).
+/// </summary>
+public class VirtualRow
+{
+    /// <summary>Gets or sets extra CSS classes for the row element.</summary>
+    public string ClassName { get; set; } = string.Empty;
+
+    /// <summary>Gets or sets the cells of the row, rendered as spans in order.</summary>
+    public List<VirtualCell> Cells { get; set; } = new();
+}
+
+/// <summary>
+/// A cell of a virtualized row. Either <see cref="Text"/> or <see cref="Pieces"/> is rendered.
+/// </summary>
+public class VirtualCell
+{
+    /// <summary>Gets or sets the CSS class of the cell.</summary>
+    public string ClassName { get; set; } = string.Empty;
+
+    /// <summary>Gets or sets the plain text of the cell.</summary>
+    public string? Text { get; set; }
+
+    /// <summary>Gets or sets the tooltip of the cell.</summary>
+    public string? Title { get; set; }
+
+    /// <summary>Gets or sets text pieces with their own classes, used for character-level highlights.</summary>
+    public List<VirtualPiece>? Pieces { get; set; }
+}
+
+/// <summary>
+/// A run of text inside a virtualized cell.
+/// </summary>
+public class VirtualPiece
+{
+    /// <summary>Gets or sets the text.</summary>
+    public string Text { get; set; } = string.Empty;
+
+    /// <summary>Gets or sets the CSS class, or null for unstyled text.</summary>
+    public string? ClassName { get; set; }
+}
+
+/// <summary>
+/// An inclusive range of rows with the same change type ("deleted", "inserted" or "modified").
+/// </summary>
+public class VirtualRowRange
+{
+    /// <summary>Gets or sets the first row index.</summary>
+    public int Start { get; set; }
+
+    /// <summary>Gets or sets the last row index.</summary>
+    public int End { get; set; }
+
+    /// <summary>Gets or sets the change type.</summary>
+    public string Type { get; set; } = string.Empty;
+}
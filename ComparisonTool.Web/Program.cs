@@ -56,6 +56,9 @@ builder.Services.AddSingleton<IComparisonProgressPublisher, SignalRProgressPubli
 builder.Services.AddSingleton<RequestComparisonJobService>();
 builder.Services.AddScoped<ComparisonProgressService>();
 builder.Services.AddScoped<RawContentService>();
+builder.Services.AddScoped<BrowserFileExporter>();
+builder.Services.AddSingleton<UploadSessionStore>();
+builder.Services.AddSingleton<UploadContentCache>();
 
 builder.Services.Configure<RequestComparisonEndpointOptions>(
     builder.Configuration.GetSection("RequestComparison:EndpointOptions"));
@@ -118,8 +121,8 @@ static void CleanupOldTempFiles()
 {
     var tempPaths = new[]
     {
-        Path.Combine(Path.GetTempPath(), "ComparisonToolUploads"),
-        Path.Combine(Path.GetTempPath(), "ComparisonToolRequests"),
+        UploadSessionStore.DefaultUploadsRoot,
+        RequestBatchStorage.DefaultRoot,
         Path.Combine(Path.GetTempPath(), "ComparisonToolJobs")
     };
 
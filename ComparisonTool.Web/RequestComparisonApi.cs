@@ -69,25 +69,41 @@ public static class RequestComparisonApi
         var form = await request.ReadFormAsync().ConfigureAwait(false);
         var files = form.Files;
         var cacheKey = form["cacheKey"].FirstOrDefault();
+        var existingBatchId = form["batchId"].FirstOrDefault();
         var uploadedFiles = new ConcurrentBag<string>();
-        var tempPath = Path.Combine(Path.GetTempPath(), "ComparisonToolRequests");
+        var tempPath = RequestBatchStorage.DefaultRoot;
 
         if (!Directory.Exists(tempPath))
         {
             Directory.CreateDirectory(tempPath);
         }
 
-        var batchId = Guid.NewGuid().ToString("N")[..8];
-        var batchPath = Path.Combine(tempPath, batchId);
-        Directory.CreateDirectory(batchPath);
+        // Large selections arrive in several requests: the first creates the batch, later ones pass its id
+        string batchId;
+        string batchPath;
+        if (string.IsNullOrWhiteSpace(existingBatchId))
+        {
+            batchId = RequestBatchStorage.CreateBatch(tempPath);
+            batchPath = Path.Combine(tempPath, batchId);
+        }
+        else if (RequestBatchStorage.TryGetBatchPath(tempPath, existingBatchId, out batchPath))
+        {
+            batchId = existingBatchId;
+        }
+        else
+        {
+            return Results.NotFound($"Batch {existingBatchId} not found");
+        }
 
         // Pre-create directories
         var directories = new HashSet<string>(StringComparer.Ordinal);
         foreach (var file in files)
         {
-            var filePath = file.FileName.Replace('\\', Path.DirectorySeparatorChar)
-                .Replace('/', Path.DirectorySeparatorChar);
-            var destPath = Path.Combine(batchPath, filePath);
+            if (!RequestBatchStorage.TryGetFilePath(batchPath, file.FileName, out var destPath))
+            {
+                return Results.BadRequest($"Invalid file path: {file.FileName}");
+            }
+
             var destDir = Path.GetDirectoryName(destPath) ?? batchPath;
             directories.Add(destDir);
         }
@@ -107,9 +123,7 @@ public static class RequestComparisonApi
         {
             try
             {
-                var filePath = file.FileName.Replace('\\', Path.DirectorySeparatorChar)
-                    .Replace('/', Path.DirectorySeparatorChar);
-                var destPath = Path.Combine(batchPath, filePath);
+                RequestBatchStorage.TryGetFilePath(batchPath, file.FileName, out var destPath);
 
                 var buffer = BufferPool.Rent(BufferSize);
                 try
@@ -146,16 +160,17 @@ public static class RequestComparisonApi
 
         if (!string.IsNullOrWhiteSpace(cacheKey))
         {
-            await UpdateCacheIndexAsync(tempPath, cacheKey, batchId, sortedFiles.Count)
+            // The cache key comes with the last request of a selection; the entry covers the whole batch
+            var batchFileCount = RequestBatchStorage.ListFiles(batchPath).Count;
+            await UpdateCacheIndexAsync(tempPath, cacheKey, batchId, batchFileCount)
                 .ConfigureAwait(false);
         }
 
-        if (sortedFiles.Count > 100)
-        {
-            var fileListPath = Path.Combine(batchPath, "_filelist.json");
-            await File.WriteAllTextAsync(fileListPath, JsonSerializer.Serialize(sortedFiles))
-                .ConfigureAwait(false);
+        // The stored list covers the whole batch, not just the files of this request
+        var fileListPath = await RequestBatchStorage.UpdateFileListAsync(batchPath).ConfigureAwait(false);
 
+        if (sortedFiles.Count > RequestBatchStorage.FileListThreshold)
+        {
             return Results.Ok(new RequestBatchUploadResponse
             {
                 Uploaded = sortedFiles.Count,
@@ -302,15 +317,13 @@ public static class RequestComparisonApi
 
     private static IResult GetBatchFiles(string batchId)
     {
-        var tempPath = Path.Combine(Path.GetTempPath(), "ComparisonToolRequests");
-        var batchPath = Path.Combine(tempPath, batchId);
-        var fileListPath = Path.Combine(batchPath, "_filelist.json");
-
-        if (!Directory.Exists(batchPath))
+        if (!RequestBatchStorage.TryGetBatchPath(RequestBatchStorage.DefaultRoot, batchId, out var batchPath))
         {
             return Results.NotFound($"Batch {batchId} not found");
         }
 
+        var fileListPath = Path.Combine(batchPath, RequestBatchStorage.FileListFileName);
+
         if (File.Exists(fileListPath))
         {
             var fileList = JsonSerializer.Deserialize<List<string>>(
@@ -319,10 +332,7 @@ public static class RequestComparisonApi
         }
 
         // List files directly
-        var files = Directory.GetFiles(batchPath, "*", SearchOption.AllDirectories)
-            .Where(f => !Path.GetFileName(f).StartsWith("_"))
-            .OrderBy(f => f, StringComparer.Ordinal)
-            .ToList();
+        var files = RequestBatchStorage.ListFiles(batchPath);
 
         return Results.Ok(new { files });
     }
@@ -334,7 +344,7 @@ public static class RequestComparisonApi
             return Results.BadRequest("cacheKey is required");
         }
 
-        var tempPath = Path.Combine(Path.GetTempPath(), "ComparisonToolRequests");
+        var tempPath = RequestBatchStorage.DefaultRoot;
         var indexPath = GetCacheIndexPath(tempPath);
 
         var cache = await ReadCacheIndexAsync(indexPath).ConfigureAwait(false);
@@ -0,0 +1,134 @@
+using System.Text;
+using System.Text.Json;
+using Microsoft.JSInterop;
+
+namespace ComparisonTool.Web.Services;
+
+/// <summary>
+/// Sends exports to the browser as downloads (wwwroot/js/export.js). Content is streamed through
+/// <see cref="DotNetStreamReference"/> rather than passed as one large interop string, and several
+/// artifacts can be bundled into a single ZIP that the browser assembles.
+/// </summary>
+public class BrowserFileExporter
+{
+    internal static readonly JsonSerializerOptions ExportJsonOptions = new() { WriteIndented = true };
+
+    private readonly IJSRuntime jsRuntime;
+
+    public BrowserFileExporter(IJSRuntime jsRuntime)
+    {
+        this.jsRuntime = jsRuntime;
+    }
+
+    /// <summary>
+    /// Downloads text content as a file.
+    /// </summary>
+    public Task DownloadTextAsync(string fileName, string contentType, string content, CancellationToken cancellationToken = default)
+    {
+        return DownloadAsync(fileName, contentType, ExportArtifact.FromText(fileName, content), cancellationToken);
+    }
+
+    /// <summary>
+    /// Serializes a value as indented JSON and downloads it as a file.
+    /// </summary>
+    public Task DownloadJsonAsync<T>(string fileName, T value, CancellationToken cancellationToken = default)
+    {
+        return DownloadAsync(fileName, "application/json", ExportArtifact.FromJson(fileName, value), cancellationToken);
+    }
+
+    /// <summary>
+    /// Bundles the artifacts into one ZIP file and downloads it.
+    /// </summary>
+    public async Task DownloadZipAsync(string fileName, IEnumerable<ExportArtifact> artifacts, CancellationToken cancellationToken = default)
+    {
+        var bundleId = Guid.NewGuid().ToString("N");
+        await jsRuntime.InvokeVoidAsync("beginExportBundle", cancellationToken, bundleId);
+
+        try
+        {
+            foreach (var artifact in artifacts)
+            {
+                await using var stream = await artifact.OpenAsync(cancellationToken);
+                using var streamRef = new DotNetStreamReference(stream, leaveOpen: true);
+                await jsRuntime.InvokeVoidAsync("addExportBundleEntry", cancellationToken, bundleId, artifact.Path, streamRef);
+            }
+
+            await jsRuntime.InvokeVoidAsync("finishExportBundle", cancellationToken, bundleId, fileName);
+        }
+        catch
+        {
+            try
+            {
+                await jsRuntime.InvokeVoidAsync("cancelExportBundle", bundleId);
+            }
+            catch
+            {
+                // The circuit may be gone; the original error is the one worth reporting
+            }
+
+            throw;
+        }
+    }
+
+    private async Task DownloadAsync(string fileName, string contentType, ExportArtifact artifact, CancellationToken cancellationToken)
+    {
+        await using var stream = await artifact.OpenAsync(cancellationToken);
+        using var streamRef = new DotNetStreamReference(stream, leaveOpen: true);
+        await jsRuntime.InvokeVoidAsync("downloadFileFromStream", cancellationToken, fileName, contentType, streamRef);
+    }
+}
+
+/// <summary>
+/// A file to export. Content is produced only when the artifact is sent, so a bundle does not hold
+/// every report in memory at once.
+/// </summary>
+public sealed class ExportArtifact
+{
+    private readonly Func<Stream, CancellationToken, Task> writeContent;
+
+    private ExportArtifact(string path, Func<Stream, CancellationToken, Task> writeContent)
+    {
+        Path = path;
+        this.writeContent = writeContent;
+    }
+
+    /// <summary>Gets the path of the file, using '/' for folders inside a ZIP.</summary>
+    public string Path { get; }
+
+    /// <summary>
+    /// Creates an artifact from text, written as UTF-8.
+    /// </summary>
+    public static ExportArtifact FromText(string path, string content)
+    {
+        return FromText(path, () => content);
+    }
+
+    /// <summary>
+    /// Creates an artifact whose text is generated when the artifact is sent.
+    /// </summary>
+    public static ExportArtifact FromText(string path, Func<string> generateContent)
+    {
+        return new ExportArtifact(path, async (stream, cancellationToken) =>
+        {
+            await using var writer = new StreamWriter(stream, new UTF8Encoding(false), leaveOpen: true);
+            await writer.WriteAsync(generateContent().AsMemory(), cancellationToken);
+        });
+    }
+
+    /// <summary>
+    /// Creates an artifact that serializes a value as indented JSON.
+    /// </summary>
+    public static ExportArtifact FromJson<T>(string path, T value)
+    {
+        return new ExportArtifact(path, (stream, cancellationToken) =>
+            JsonSerializer.SerializeAsync(stream, value, BrowserFileExporter.ExportJsonOptions, cancellationToken));
+    }
+
+    internal async Task<Stream> OpenAsync(CancellationToken cancellationToken)
+    {
+        var stream = new MemoryStream();
+        await writeContent(stream, cancellationToken);
+        stream.Position = 0;
+        return stream;
+    }
+}
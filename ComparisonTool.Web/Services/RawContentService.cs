@@ -11,15 +11,17 @@ namespace ComparisonTool.Web.Services;
 public class RawContentService
 {
     private readonly ILogger<RawContentService> logger;
+    private readonly UploadSessionStore uploadSessions;
 
     /// <summary>
     /// Maximum number of bytes to read per file. Files larger than this are truncated.
     /// </summary>
     private const int MaxFileSizeBytes = 512 * 1024; // 512 KB
 
-    public RawContentService(ILogger<RawContentService> logger)
+    public RawContentService(ILogger<RawContentService> logger, UploadSessionStore uploadSessions)
     {
         this.logger = logger;
+        this.uploadSessions = uploadSessions;
     }
 
     /// <summary>
@@ -27,8 +29,12 @@ public class RawContentService
     /// Returns the content strings along with truncation flags.
     /// </summary>
     /// <param name="pair">The file pair with paths to both files.</param>
+    /// <param name="showOriginal">
+    /// For files canonicalized in the browser before upload, load the text as originally selected
+    /// instead of the canonical form that was compared.
+    /// </param>
     /// <returns>A tuple of (contentA, contentB, isTruncatedA, isTruncatedB).</returns>
-    public async Task<RawContentResult> LoadRawContentAsync(FilePairComparisonResult pair)
+    public async Task<RawContentResult> LoadRawContentAsync(FilePairComparisonResult pair, bool showOriginal = false)
     {
         var result = new RawContentResult();
 
@@ -42,8 +48,13 @@ public class RawContentService
 
         try
         {
-            var taskA = ReadFileContentAsync(pair.File1Path);
-            var taskB = ReadFileContentAsync(pair.File2Path);
+            var originalA = uploadSessions.FindCanonicalizedOriginal(pair.File1Path);
+            var originalB = uploadSessions.FindCanonicalizedOriginal(pair.File2Path);
+            result.IsCanonicalizedA = originalA != null;
+            result.IsCanonicalizedB = originalB != null;
+
+            var taskA = ReadFileContentAsync(showOriginal && originalA != null ? originalA : pair.File1Path);
+            var taskB = ReadFileContentAsync(showOriginal && originalB != null ? originalB : pair.File2Path);
 
             await Task.WhenAll(taskA, taskB);
 
@@ -113,6 +124,17 @@ public class RawContentResult
     public string ContentB { get; set; } = "";
     public bool IsTruncatedA { get; set; }
     public bool IsTruncatedB { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether file A was canonicalized before upload and its original text is available.
+    /// </summary>
+    public bool IsCanonicalizedA { get; set; }
+
+    /// <summary>
+    /// Gets or sets a value indicating whether file B was canonicalized before upload and its original text is available.
+    /// </summary>
+    public bool IsCanonicalizedB { get; set; }
+
     public bool IsLoaded { get; set; }
     public string? ErrorMessage { get; set; }
 }
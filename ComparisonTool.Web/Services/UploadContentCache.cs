@@ -0,0 +1,364 @@
+using System.Security.Cryptography;
+using ComparisonTool.Web.Models;
+
+namespace ComparisonTool.Web.Services;
+
+/// <summary>
+/// Content-addressed store of previously uploaded files, keyed by SHA-256.
+/// Lets clients skip re-uploading files the server already has: cached content is copied
+/// into the upload session folder so the comparison still reads ordinary files from one directory.
+/// The store is bounded: entries unused for <see cref="MaxEntryAge"/> are dropped, and once it grows past
+/// <see cref="MaxCacheBytes"/> the least recently used entries are evicted.
+/// </summary>
+public class UploadContentCache
+{
+    /// <summary>
+    /// Default size limit of the store: 2 GB.
+    /// </summary>
+    public const long DefaultMaxCacheBytes = 2L * 1024 * 1024 * 1024;
+
+    private const int BufferSize = 81920; // 80KB buffer for hashing and copying
+
+    // Eviction trims the store to this share of the limit, so it does not run again on the next upload
+    private const double EvictionTargetRatio = 0.8;
+
+    private static readonly TimeSpan AgeCheckInterval = TimeSpan.FromHours(1);
+
+    private readonly ILogger<UploadContentCache> logger;
+    private readonly SemaphoreSlim evictionLock = new(1, 1);
+
+    // Approximate bytes in the store; measured on first use, then kept up to date as entries come and go
+    private long cachedBytes = -1;
+    private DateTime lastFullPassUtc = DateTime.MinValue;
+
+    public UploadContentCache(ILogger<UploadContentCache> logger)
+        : this(DefaultCacheRoot, logger)
+    {
+    }
+
+    public UploadContentCache(
+        string cacheRoot,
+        ILogger<UploadContentCache> logger,
+        long maxCacheBytes = DefaultMaxCacheBytes,
+        TimeSpan? maxEntryAge = null)
+    {
+        CacheRoot = Path.GetFullPath(cacheRoot);
+        MaxCacheBytes = maxCacheBytes;
+        MaxEntryAge = maxEntryAge ?? TimeSpan.FromDays(7);
+        this.logger = logger;
+    }
+
+    /// <summary>
+    /// Gets the default root folder of the content store.
+    /// </summary>
+    public static string DefaultCacheRoot => Path.Combine(Path.GetTempPath(), "ComparisonToolContentCache");
+
+    /// <summary>
+    /// Gets the root folder of the content store. Entries live under a two-character hash prefix folder.
+    /// </summary>
+    public string CacheRoot { get; }
+
+    /// <summary>
+    /// Gets the size the store is kept under.
+    /// </summary>
+    public long MaxCacheBytes { get; }
+
+    /// <summary>
+    /// Gets how long an entry is kept after it was last stored or reused.
+    /// </summary>
+    public TimeSpan MaxEntryAge { get; }
+
+    /// <summary>
+    /// Copies every cached file into <paramref name="sessionPath"/> at its relative path.
+    /// Each entry is re-hashed while it is copied; an entry whose content no longer matches its hash is
+    /// removed from the store and reported as missing, so the client uploads the file instead.
+    /// </summary>
+    /// <param name="sessionPath">The upload session folder.</param>
+    /// <param name="files">The files the client wants to upload.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The relative paths of the files that were attached from the cache.</returns>
+    public async Task<List<string>> AttachCachedFilesAsync(
+        string sessionPath,
+        IEnumerable<UploadContentEntry> files,
+        CancellationToken cancellationToken = default)
+    {
+        var attached = new List<string>();
+        var sessionRoot = Path.GetFullPath(sessionPath).TrimEnd(Path.DirectorySeparatorChar) + Path.DirectorySeparatorChar;
+
+        foreach (var file in files)
+        {
+            if (!IsValidHash(file.Hash))
+            {
+                continue;
+            }
+
+            var cachedPath = GetEntryPath(file.Hash);
+            var cachedInfo = new FileInfo(cachedPath);
+            if (!cachedInfo.Exists || cachedInfo.Length != file.Size)
+            {
+                continue;
+            }
+
+            var destPath = Path.GetFullPath(Path.Combine(
+                sessionRoot,
+                file.Path.Replace('\\', Path.DirectorySeparatorChar).Replace('/', Path.DirectorySeparatorChar)));
+
+            // Never write outside the session folder
+            if (!destPath.StartsWith(sessionRoot, StringComparison.OrdinalIgnoreCase))
+            {
+                logger.LogWarning("Rejected cached file path outside the upload session: {Path}", file.Path);
+                continue;
+            }
+
+            try
+            {
+                Directory.CreateDirectory(Path.GetDirectoryName(destPath) ?? sessionRoot);
+                var copiedHash = await CopyFileAsync(cachedPath, destPath, cancellationToken).ConfigureAwait(false);
+                if (!string.Equals(copiedHash, file.Hash, StringComparison.Ordinal))
+                {
+                    logger.LogWarning("Cached content {Hash} does not match its hash; removing it from the upload content cache", file.Hash);
+                    File.Delete(destPath);
+                    RemoveEntry(cachedPath);
+                    continue;
+                }
+
+                // Reuse counts as use: the entry is the last to be evicted
+                File.SetLastWriteTimeUtc(cachedPath, DateTime.UtcNow);
+                attached.Add(file.Path);
+            }
+            catch (IOException ex)
+            {
+                // Treat as a cache miss; the client will upload the file instead
+                logger.LogWarning(ex, "Failed to attach cached content {Hash} to {Path}", file.Hash, file.Path);
+            }
+        }
+
+        return attached;
+    }
+
+    /// <summary>
+    /// Adds uploaded files to the content store, then evicts old entries if the store is over its limits.
+    /// Hashes are computed on the server, never taken from the client.
+    /// </summary>
+    /// <param name="filePaths">Full paths of the files just written to an upload session.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    public async Task AddAsync(IEnumerable<string> filePaths, CancellationToken cancellationToken = default)
+    {
+        foreach (var filePath in filePaths)
+        {
+            try
+            {
+                var length = new FileInfo(filePath).Length;
+                if (length > MaxCacheBytes * EvictionTargetRatio)
+                {
+                    // Would evict everything else and then itself
+                    continue;
+                }
+
+                // Copy to a temporary name first, hashing what is copied, so readers never see a partially
+                // written entry and the entry name always matches the bytes it holds
+                Directory.CreateDirectory(CacheRoot);
+                var tempPath = Path.Combine(CacheRoot, $"{Guid.NewGuid():N}.tmp");
+                var hash = await CopyFileAsync(filePath, tempPath, cancellationToken).ConfigureAwait(false);
+                var entryPath = GetEntryPath(hash);
+                if (File.Exists(entryPath))
+                {
+                    File.Delete(tempPath);
+                    File.SetLastWriteTimeUtc(entryPath, DateTime.UtcNow);
+                    continue;
+                }
+
+                Directory.CreateDirectory(Path.GetDirectoryName(entryPath)!);
+                try
+                {
+                    File.Move(tempPath, entryPath);
+                    AddCachedBytes(length);
+                }
+                catch (IOException)
+                {
+                    // Another upload stored the same content first
+                    File.Delete(tempPath);
+                }
+            }
+            catch (IOException ex)
+            {
+                logger.LogWarning(ex, "Failed to add {FilePath} to the upload content cache", filePath);
+            }
+        }
+
+        await EvictAsync(cancellationToken).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Removes entries unused for longer than <see cref="MaxEntryAge"/>, then the least recently used
+    /// entries until the store is well under <see cref="MaxCacheBytes"/>.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    public async Task EvictAsync(CancellationToken cancellationToken = default)
+    {
+        // A full pass lists every entry: run it when the size is unknown or over the limit, and otherwise
+        // only often enough to drop expired entries
+        var knownBytes = Interlocked.Read(ref cachedBytes);
+        if (knownBytes >= 0 && knownBytes <= MaxCacheBytes && DateTime.UtcNow - lastFullPassUtc < AgeCheckInterval)
+        {
+            return;
+        }
+
+        await evictionLock.WaitAsync(cancellationToken).ConfigureAwait(false);
+        try
+        {
+            var cutoff = DateTime.UtcNow - MaxEntryAge;
+            DeleteAbandonedTempFiles();
+            var entries = ListEntries();
+            long totalBytes = 0;
+            var kept = new List<FileInfo>();
+            foreach (var entry in entries)
+            {
+                if (entry.LastWriteTimeUtc < cutoff && TryDelete(entry))
+                {
+                    continue;
+                }
+
+                totalBytes += entry.Length;
+                kept.Add(entry);
+            }
+
+            if (totalBytes > MaxCacheBytes)
+            {
+                var targetBytes = (long)(MaxCacheBytes * EvictionTargetRatio);
+                foreach (var entry in kept.OrderBy(e => e.LastWriteTimeUtc))
+                {
+                    if (totalBytes <= targetBytes)
+                    {
+                        break;
+                    }
+
+                    if (TryDelete(entry))
+                    {
+                        totalBytes -= entry.Length;
+                    }
+                }
+            }
+
+            Interlocked.Exchange(ref cachedBytes, totalBytes);
+            lastFullPassUtc = DateTime.UtcNow;
+        }
+        finally
+        {
+            evictionLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Checks that a hash is a lowercase hex SHA-256 string, so it is safe to use as a file name.
+    /// </summary>
+    public static bool IsValidHash(string? hash) =>
+        hash is { Length: 64 } && hash.All(c => c is (>= '0' and <= '9') or (>= 'a' and <= 'f'));
+
+    private string GetEntryPath(string hash) => Path.Combine(CacheRoot, hash[..2], hash);
+
+    // Entries only; temporary copies being written are left to their writers
+    private List<FileInfo> ListEntries()
+    {
+        var root = new DirectoryInfo(CacheRoot);
+        if (!root.Exists)
+        {
+            return new List<FileInfo>();
+        }
+
+        return root.EnumerateFiles("*", SearchOption.AllDirectories)
+            .Where(f => IsValidHash(f.Name))
+            .ToList();
+    }
+
+    // Temporary copies left behind by an upload that stopped half way
+    private void DeleteAbandonedTempFiles()
+    {
+        var root = new DirectoryInfo(CacheRoot);
+        if (!root.Exists)
+        {
+            return;
+        }
+
+        foreach (var temp in root.EnumerateFiles("*.tmp").Where(f => f.LastWriteTimeUtc < DateTime.UtcNow - AgeCheckInterval))
+        {
+            TryDelete(temp);
+        }
+    }
+
+    private void RemoveEntry(string entryPath)
+    {
+        var entry = new FileInfo(entryPath);
+        if (entry.Exists && TryDelete(entry))
+        {
+            AddCachedBytes(-entry.Length);
+        }
+    }
+
+    private bool TryDelete(FileInfo entry)
+    {
+        try
+        {
+            entry.Delete();
+            return true;
+        }
+        catch (IOException ex)
+        {
+            // Being copied into a session right now; it goes on a later pass
+            logger.LogDebug(ex, "Could not evict cached content {Hash}", entry.Name);
+            return false;
+        }
+        catch (UnauthorizedAccessException ex)
+        {
+            logger.LogDebug(ex, "Could not evict cached content {Hash}", entry.Name);
+            return false;
+        }
+    }
+
+    private void AddCachedBytes(long delta)
+    {
+        // Unknown until the first eviction pass measures the store
+        long current;
+        do
+        {
+            current = Interlocked.Read(ref cachedBytes);
+            if (current < 0)
+            {
+                return;
+            }
+        }
+        while (Interlocked.CompareExchange(ref cachedBytes, Math.Max(0, current + delta), current) != current);
+    }
+
+    // Copies a file and returns the SHA-256 of the bytes actually copied
+    private static async Task<string> CopyFileAsync(string sourcePath, string destPath, CancellationToken cancellationToken)
+    {
+        using var hash = IncrementalHash.CreateHash(HashAlgorithmName.SHA256);
+        var buffer = new byte[BufferSize];
+
+        await using (var source = new FileStream(
+            sourcePath,
+            FileMode.Open,
+            FileAccess.Read,
+            FileShare.Read,
+            BufferSize,
+            FileOptions.Asynchronous | FileOptions.SequentialScan))
+        await using (var dest = new FileStream(
+            destPath,
+            FileMode.Create,
+            FileAccess.Write,
+            FileShare.None,
+            BufferSize,
+            FileOptions.Asynchronous | FileOptions.SequentialScan))
+        {
+            int bytesRead;
+            while ((bytesRead = await source.ReadAsync(buffer.AsMemory(0, BufferSize), cancellationToken).ConfigureAwait(false)) > 0)
+            {
+                hash.AppendData(buffer, 0, bytesRead);
+                await dest.WriteAsync(buffer.AsMemory(0, bytesRead), cancellationToken).ConfigureAwait(false);
+            }
+        }
+
+        return Convert.ToHexString(hash.GetHashAndReset()).ToLowerInvariant();
+    }
+}
@@ -0,0 +1,366 @@
+using System.Buffers;
+using System.Collections.Concurrent;
+using System.Diagnostics.CodeAnalysis;
+using System.Text.Json;
+
+namespace ComparisonTool.Web.Services;
+
+/// <summary>
+/// Server side of upload sessions: one temp folder per Expected/Actual upload that every batch is attached to.
+/// Uploaded files live under <c>files</c>, exactly at the relative paths the client sent, and the session's own
+/// bookkeeping lives under <c>meta</c>, so no file name a user can pick is ever mistaken for a marker.
+/// </summary>
+public class UploadSessionStore
+{
+    /// <summary>
+    /// Form field of the canonicalized originals sent along with a batch; every other field holds uploaded files.
+    /// </summary>
+    public const string CanonicalizedOriginalsFormField = "originals";
+
+    private const int BufferSize = 81920; // 80KB buffer for streaming
+    private const string FilesFolderName = "files";
+    private const string MetadataFolderName = "meta";
+    private const string SessionMarkerFileName = "session.json";
+    private const string ManifestFileName = "manifest.json";
+    private const string CachedFilesFileName = "cached.json";
+
+    // Originals of files the browser canonicalized before upload, kept in the session's metadata folder
+    private const string CanonicalizedOriginalsFolderName = "originals";
+
+    // Shared buffer pool to reduce GC pressure during file uploads
+    private static readonly ArrayPool<byte> BufferPool = ArrayPool<byte>.Shared;
+
+    private readonly ILogger<UploadSessionStore> logger;
+
+    public UploadSessionStore(ILogger<UploadSessionStore> logger)
+        : this(DefaultUploadsRoot, logger)
+    {
+    }
+
+    public UploadSessionStore(string uploadsRoot, ILogger<UploadSessionStore> logger)
+    {
+        UploadsRoot = Path.GetFullPath(uploadsRoot);
+        this.logger = logger;
+    }
+
+    /// <summary>
+    /// Gets the default folder that holds one subfolder per upload session.
+    /// </summary>
+    public static string DefaultUploadsRoot => Path.Combine(Path.GetTempPath(), "ComparisonToolUploads");
+
+    /// <summary>
+    /// Gets the folder that holds one subfolder per upload session.
+    /// </summary>
+    public string UploadsRoot { get; }
+
+    /// <summary>
+    /// Opens a new, empty upload session.
+    /// </summary>
+    public UploadSession CreateSession()
+    {
+        var session = GetSession(Guid.NewGuid().ToString("N"));
+        Directory.CreateDirectory(session.FilesPath);
+        Directory.CreateDirectory(session.MetadataPath);
+        File.WriteAllText(
+            Path.Combine(session.MetadataPath, SessionMarkerFileName),
+            JsonSerializer.Serialize(new { createdUtc = DateTimeOffset.UtcNow }));
+
+        return session;
+    }
+
+    /// <summary>
+    /// Finds an existing upload session, rejecting identifiers that would escape the uploads root.
+    /// </summary>
+    public bool TryGetSession(string sessionId, [NotNullWhen(true)] out UploadSession? session)
+    {
+        session = null;
+
+        // Session ids are the 32 hex digits of a GUID; anything else cannot name a session folder
+        if (string.IsNullOrEmpty(sessionId) || sessionId.Length != 32 || !sessionId.All(char.IsAsciiHexDigit))
+        {
+            return false;
+        }
+
+        var candidate = GetSession(sessionId);
+        if (!File.Exists(Path.Combine(candidate.MetadataPath, SessionMarkerFileName)))
+        {
+            return false;
+        }
+
+        session = candidate;
+        return true;
+    }
+
+    /// <summary>
+    /// Resolves the path a file of an upload is stored at, or returns false when the relative path would land
+    /// outside the session's files folder.
+    /// </summary>
+    public bool TryGetFilePath(UploadSession session, string relativePath, out string filePath)
+    {
+        return TryResolveUnder(session.FilesPath, relativePath, out filePath);
+    }
+
+    /// <summary>
+    /// Streams the supported (XML/JSON) files of a multipart form into the session, preserving their relative
+    /// folder structure. Re-sending a batch overwrites the same relative paths, so retries are idempotent.
+    /// </summary>
+    /// <param name="session">The upload session.</param>
+    /// <param name="files">
+    /// The uploaded files; each file name is its path relative to the upload. Files in the
+    /// <see cref="CanonicalizedOriginalsFormField"/> field are the originals of canonicalized files at the same paths.
+    /// </param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The full paths of the uploaded files written, not counting canonicalized originals.</returns>
+    /// <exception cref="ArgumentException">A file name resolves outside the session. Nothing is written.</exception>
+    public async Task<IReadOnlyList<string>> SaveFilesAsync(
+        UploadSession session,
+        IFormFileCollection files,
+        CancellationToken cancellationToken = default)
+    {
+        var targets = new List<(IFormFile File, string DestPath, bool IsOriginal)>();
+        foreach (var file in files)
+        {
+            if (!file.FileName.EndsWith(".xml", StringComparison.OrdinalIgnoreCase) &&
+                !file.FileName.EndsWith(".json", StringComparison.OrdinalIgnoreCase))
+            {
+                continue;
+            }
+
+            var isOriginal = string.Equals(file.Name, CanonicalizedOriginalsFormField, StringComparison.Ordinal);
+            var resolved = TryResolveUnder(isOriginal ? GetOriginalsPath(session) : session.FilesPath, file.FileName, out var destPath);
+            if (!resolved)
+            {
+                throw new ArgumentException($"Invalid file path: {file.FileName}", nameof(files));
+            }
+
+            targets.Add((file, destPath, isOriginal));
+        }
+
+        // Pre-create all needed directories to avoid lock contention
+        foreach (var dir in targets.Select(t => Path.GetDirectoryName(t.DestPath)!).Distinct(StringComparer.Ordinal))
+        {
+            Directory.CreateDirectory(dir);
+        }
+
+        var uploadedFiles = new ConcurrentBag<string>();
+        var parallelOptions = new ParallelOptions
+        {
+            MaxDegreeOfParallelism = Math.Min(Environment.ProcessorCount * 2, 16),
+            CancellationToken = cancellationToken,
+        };
+
+        // A file that fails to save fails the whole batch, so the client retries it rather than
+        // completing the session with a file missing or half written
+        await Parallel.ForEachAsync(targets, parallelOptions, async (target, ct) =>
+        {
+            await WriteFileAsync(target.File, target.DestPath, ct).ConfigureAwait(false);
+            if (!target.IsOriginal)
+            {
+                uploadedFiles.Add(target.DestPath);
+            }
+        }).ConfigureAwait(false);
+
+        return uploadedFiles.ToList();
+    }
+
+    /// <summary>
+    /// Records files that were attached from the content cache instead of being uploaded, for the manifest.
+    /// </summary>
+    public async Task AddCachedFilesAsync(UploadSession session, IEnumerable<string> relativePaths)
+    {
+        var cachedFiles = await ReadCachedFilesAsync(session).ConfigureAwait(false);
+        cachedFiles.AddRange(relativePaths);
+        await File.WriteAllTextAsync(
+            Path.Combine(session.MetadataPath, CachedFilesFileName),
+            JsonSerializer.Serialize(cachedFiles)).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Finalizes a session: lists every file it holds as a path relative to <see cref="UploadSession.FilesPath"/>
+    /// and stores that list as the session manifest.
+    /// </summary>
+    public async Task<UploadSessionManifest> CompleteAsync(UploadSession session)
+    {
+        var relativeFiles = ListRelativeFiles(session.FilesPath);
+        var originalsPath = GetOriginalsPath(session);
+        var canonicalizedFiles = relativeFiles
+            .Where(f => File.Exists(Path.Combine(originalsPath, f.Replace('/', Path.DirectorySeparatorChar))))
+            .ToList();
+        var cachedFiles = await ReadCachedFilesAsync(session).ConfigureAwait(false);
+
+        var manifest = new UploadSessionManifest
+        {
+            SessionId = session.SessionId,
+            RootPath = session.FilesPath,
+            Uploaded = relativeFiles.Count,
+            Cached = cachedFiles.Count,
+            Files = relativeFiles,
+            Canonicalized = canonicalizedFiles,
+        };
+
+        await File.WriteAllTextAsync(
+            Path.Combine(session.MetadataPath, ManifestFileName),
+            JsonSerializer.Serialize(relativeFiles)).ConfigureAwait(false);
+
+        return manifest;
+    }
+
+    /// <summary>
+    /// Deletes a session and everything uploaded to it.
+    /// </summary>
+    /// <returns>False when files are still in use; the folder is then left for the startup cleanup.</returns>
+    public bool DeleteSession(UploadSession session)
+    {
+        try
+        {
+            Directory.Delete(session.SessionPath, true);
+            return true;
+        }
+        catch (IOException ex)
+        {
+            logger.LogWarning(ex, "Failed to delete upload session {SessionId}", session.SessionId);
+            return false;
+        }
+        catch (UnauthorizedAccessException ex)
+        {
+            logger.LogWarning(ex, "Failed to delete upload session {SessionId}", session.SessionId);
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Returns the path of the original file kept for an uploaded file that the browser canonicalized
+    /// before upload, or null when the file was uploaded as selected.
+    /// </summary>
+    public string? FindCanonicalizedOriginal(string uploadedFilePath)
+    {
+        if (string.IsNullOrEmpty(uploadedFilePath))
+        {
+            return null;
+        }
+
+        // <uploads root>/<session id>/files/<relative path> -> <uploads root>/<session id>/meta/originals/<relative path>
+        var uploadsRoot = UploadsRoot.TrimEnd(Path.DirectorySeparatorChar, Path.AltDirectorySeparatorChar) + Path.DirectorySeparatorChar;
+        var fullPath = Path.GetFullPath(uploadedFilePath);
+        if (!fullPath.StartsWith(uploadsRoot, StringComparison.OrdinalIgnoreCase))
+        {
+            return null;
+        }
+
+        var parts = fullPath[uploadsRoot.Length..].Split(Path.DirectorySeparatorChar, 3);
+        if (parts.Length < 3 || parts[1] != FilesFolderName || !TryGetSession(parts[0], out var session))
+        {
+            return null;
+        }
+
+        var originalPath = Path.Combine(GetOriginalsPath(session), parts[2]);
+        return File.Exists(originalPath) ? originalPath : null;
+    }
+
+    private static async Task WriteFileAsync(IFormFile file, string destPath, CancellationToken cancellationToken)
+    {
+        // Use buffered streaming with pooled buffer to reduce memory pressure
+        var buffer = BufferPool.Rent(BufferSize);
+        try
+        {
+            await using var sourceStream = file.OpenReadStream();
+            await using var destStream = new FileStream(
+                destPath,
+                FileMode.Create,
+                FileAccess.Write,
+                FileShare.None,
+                BufferSize,
+                FileOptions.Asynchronous | FileOptions.SequentialScan);
+
+            int bytesRead;
+            while ((bytesRead = await sourceStream.ReadAsync(buffer.AsMemory(0, BufferSize), cancellationToken).ConfigureAwait(false)) > 0)
+            {
+                await destStream.WriteAsync(buffer.AsMemory(0, bytesRead), cancellationToken).ConfigureAwait(false);
+            }
+        }
+        finally
+        {
+            BufferPool.Return(buffer);
+        }
+    }
+
+    private static bool TryResolveUnder(string rootPath, string relativePath, out string filePath)
+    {
+        var root = rootPath.TrimEnd(Path.DirectorySeparatorChar) + Path.DirectorySeparatorChar;
+        filePath = Path.GetFullPath(Path.Combine(
+            root,
+            relativePath.Replace('\\', Path.DirectorySeparatorChar).Replace('/', Path.DirectorySeparatorChar)));
+        return !string.IsNullOrWhiteSpace(relativePath) && filePath.StartsWith(root, StringComparison.Ordinal);
+    }
+
+    private static List<string> ListRelativeFiles(string rootPath)
+    {
+        if (!Directory.Exists(rootPath))
+        {
+            return new List<string>();
+        }
+
+        return Directory.EnumerateFiles(rootPath, "*", SearchOption.AllDirectories)
+            .Select(f => Path.GetRelativePath(rootPath, f).Replace(Path.DirectorySeparatorChar, '/'))
+            .OrderBy(f => f, StringComparer.Ordinal)
+            .ToList();
+    }
+
+    private static string GetOriginalsPath(UploadSession session) =>
+        Path.Combine(session.MetadataPath, CanonicalizedOriginalsFolderName);
+
+    private static async Task<List<string>> ReadCachedFilesAsync(UploadSession session)
+    {
+        var cachedListPath = Path.Combine(session.MetadataPath, CachedFilesFileName);
+        if (!File.Exists(cachedListPath))
+        {
+            return new List<string>();
+        }
+
+        var json = await File.ReadAllTextAsync(cachedListPath).ConfigureAwait(false);
+        return JsonSerializer.Deserialize<List<string>>(json) ?? new List<string>();
+    }
+
+    private UploadSession GetSession(string sessionId)
+    {
+        var sessionPath = Path.Combine(UploadsRoot, sessionId);
+        return new UploadSession(
+            sessionId,
+            sessionPath,
+            Path.Combine(sessionPath, FilesFolderName),
+            Path.Combine(sessionPath, MetadataFolderName));
+    }
+}
+
+/// <summary>
+/// The folders of one upload session.
+/// </summary>
+/// <param name="SessionId">The session identifier the client uses.</param>
+/// <param name="SessionPath">The session folder.</param>
+/// <param name="FilesPath">The folder holding the uploaded files at their relative paths.</param>
+/// <param name="MetadataPath">The folder holding the session marker, manifest and canonicalized originals.</param>
+public sealed record UploadSession(string SessionId, string SessionPath, string FilesPath, string MetadataPath);
+
+/// <summary>
+/// What a completed upload session holds, returned to the client when the session is finalized.
+/// </summary>
+public class UploadSessionManifest
+{
+    /// <summary>Gets or sets the session identifier.</summary>
+    public string SessionId { get; set; } = string.Empty;
+
+    /// <summary>Gets or sets the server folder the relative paths in <see cref="Files"/> are relative to.</summary>
+    public string RootPath { get; set; } = string.Empty;
+
+    /// <summary>Gets or sets the number of files in the session.</summary>
+    public int Uploaded { get; set; }
+
+    /// <summary>Gets or sets how many of the files were attached from the content cache instead of uploaded.</summary>
+    public int Cached { get; set; }
+
+    /// <summary>Gets or sets the relative paths of all files, '/'-separated and in ordinal order.</summary>
+    public List<string> Files { get; set; } = new();
+
+    /// <summary>Gets or sets the relative paths of the files canonicalized in the browser before upload.</summary>
+    public List<string> Canonicalized { get; set; } = new();
+}
@@ -1,61 +1,3 @@
-function saveAsFile(filename, contentType, content) {
-    const blob = new Blob([content], { type: contentType });
-    const url = URL.createObjectURL(blob);
-
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-
-    document.body.appendChild(a);
-
-    a.click();
-
-    setTimeout(() => {
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-    }, 0);
-}
-
-function renderPieChart(canvasId, labels, data) {
-    const ctx = document.getElementById(canvasId).getContext('2d');
-    const colors = generateColors(labels.length);
-
-    new Chart(ctx, {
-        type: 'pie',
-        data: {
-            labels: labels,
-            datasets: [{
-                data: data,
-                backgroundColor: colors,
-                borderWidth: 1
-            }]
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            plugins: {
-                legend: {
-                    position: 'right',
-                }
-            }
-        }
-    });
-}
-
-function generateColors(count) {
-    const colors = [];
-    const baseColors = [
-        '#4e73df', '#1cc88a', '#36b9cc', '#f6c23e', '#e74a3b',
-        '#fd7e14', '#6f42c1', '#20c9a6', '#27a844', '#e83e8c'
-    ];
-
-    for (let i = 0; i < count; i++) {
-        colors.push(baseColors[i % baseColors.length]);
-    }
-
-    return colors;
-}
-
 function processFilesInBatches(files, batchSize, callback) {
     return new Promise((resolve) => {
         const totalFiles = files.length;
@@ -122,6 +64,8 @@ function showProcessingIndicator(message) {
                     <div id="processing-progress-bar" class="progress-bar progress-bar-striped progress-bar-animated" style="width: 0%"></div>
                 </div>
                 <div id="processing-count" class="mt-1 small">0 / 0 files</div>
+                <div id="processing-transfer" class="mt-1 small"></div>
+                <div id="processing-actions" class="mt-2"></div>
             </div>
         `;
         document.body.appendChild(indicator);
@@ -129,12 +73,14 @@ function showProcessingIndicator(message) {
         document.getElementById('processing-message').textContent = message;
         document.getElementById('processing-progress-bar').style.width = '0%';
         document.getElementById('processing-count').textContent = '0 / 0 files';
+        document.getElementById('processing-transfer').textContent = '';
+        document.getElementById('processing-actions').replaceChildren();
         indicator.style.display = 'block';
     }
 }
 
-// Update progress while processing files
-function updateProcessingProgress(percentage, current, total) {
+// Update progress while processing files (or other items, e.g. requests)
+function updateProcessingProgress(percentage, current, total, unit = 'files') {
     const progressBar = document.getElementById('processing-progress-bar');
     const countText = document.getElementById('processing-count');
 
@@ -143,10 +89,80 @@ function updateProcessingProgress(percentage, current, total) {
     }
 
     if (countText) {
-        countText.textContent = `${current} / ${total} files`;
+        countText.textContent = `${current} / ${total} ${unit}`;
     }
 }
 
+// Show a Cancel button in the processing indicator; pass null to remove it
+function setProcessingCancelAction(onCancel, label = 'Cancel') {
+    const actions = document.getElementById('processing-actions');
+    if (!actions) {
+        return;
+    }
+
+    actions.replaceChildren();
+    if (!onCancel) {
+        return;
+    }
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-sm btn-outline-light';
+    button.textContent = label;
+    button.addEventListener('click', () => {
+        button.disabled = true;
+        onCancel();
+    });
+    actions.appendChild(button);
+}
+
+// Replace the message of the processing indicator without resetting its progress
+function updateProcessingMessage(message) {
+    const messageText = document.getElementById('processing-message');
+    if (messageText) {
+        messageText.textContent = message;
+    }
+}
+
+// Update the byte-level transfer line (size, throughput and ETA) of the processing indicator
+function updateProcessingTransfer(loadedBytes, totalBytes, bytesPerSecond, etaSeconds) {
+    const transferText = document.getElementById('processing-transfer');
+    if (!transferText) {
+        return;
+    }
+
+    let text = `${formatBytes(loadedBytes)} / ${formatBytes(totalBytes)}`;
+    if (bytesPerSecond > 0) {
+        text += ` - ${formatBytes(bytesPerSecond)}/s`;
+    }
+    if (etaSeconds !== null && etaSeconds !== undefined) {
+        text += ` - ${formatDuration(etaSeconds)} left`;
+    }
+    transferText.textContent = text;
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function formatDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    if (hours > 0) {
+        return `${hours}h ${minutes}m`;
+    }
+    return minutes > 0 ? `${minutes}m ${secs}s` : `${secs}s`;
+}
+
 // Hide processing indicator when done
 function hideProcessingIndicator() {
     const indicator = document.getElementById('file-processing-indicator');
@@ -286,7 +302,7 @@ function extractFolderInfo(files) {
 
     // Group files by their folder
     for (const file of files) {
-        const path = file.webkitRelativePath || file.name;
+        const path = getUploadRelativePath(file);
         const folderPath = path.split('/').slice(0, -1).join('/');
 
         if (!folders[folderPath]) {
@@ -314,79 +330,149 @@ function getFolderStats(files) {
             path: folder || 'Root',
             fileCount: folderFiles.length,
             xmlCount: folderFiles.filter(f => isXmlFile(f)).length,
-            totalSize: folderFiles.reduce((sum, f) => sum + f.size, 0)
+            totalSize: folderFiles.reduce((sum, f) => sum + f.size, 0),
+            estimatedMemory: estimateMemoryUsage(folderFiles).estimatedMemoryBytes
         });
     }
 
     return stats;
 }
 
-// Handle memory issues by compressing large XML files
-async function compressXmlIfNeeded(xmlContent, threshold = 1024 * 1024) {
-    // If the XML is large, we can strip whitespace to reduce size
-    if (xmlContent.length > threshold) {
-        try {
-            const parser = new DOMParser();
-            const xmlDoc = parser.parseFromString(xmlContent, "text/xml");
-
-            // Remove whitespace text nodes
-            const removeWhitespaceNodes = (node) => {
-                if (node.nodeType === Node.TEXT_NODE) {
-                    if (node.nodeValue.trim() === '') {
-                        node.nodeValue = '';
-                    }
-                }
+// Add these functions to your app.js file
 
-                const children = node.childNodes;
-                for (let i = 0; i < children.length; i++) {
-                    removeWhitespaceNodes(children[i]);
-                }
-            };
+/**
+ * Let the user pick a local directory and report a server path holding a copy of it through
+ * dotNetRef.OnDirectoryBrowsed(directory, path); path is null when nothing was picked or the upload
+ * failed. Returns straight away, as the picker and the upload can outlast a Blazor interop call.
+ * Chromium browsers use the File System Access API: the directory is enumerated in the
+ * browser and sent through the batch uploader, so the path is the upload session
+ * folder. Other browsers fall back to typing a server path.
+ */
+function browseFolder(title, dotNetRef, directory) {
+    browseFolderPath(title)
+        .catch(e => {
+            console.error("Error browsing for folder:", e);
+            return null;
+        })
+        .then(path => dotNetRef.invokeMethodAsync('OnDirectoryBrowsed', directory, path))
+        .catch(e => console.error("Error reporting the browsed folder:", e));
+}
 
-            removeWhitespaceNodes(xmlDoc);
+async function browseFolderPath(title) {
+    if (typeof window.showDirectoryPicker !== 'function') {
+        return await showFolderPathDialog(title);
+    }
 
-            // Serialize back to string
-            const serializer = new XMLSerializer();
-            return serializer.serializeToString(xmlDoc);
-        } catch (e) {
-            console.warn('XML compression failed, using original', e);
-            return xmlContent;
+    let directoryHandle;
+    try {
+        directoryHandle = await window.showDirectoryPicker({ id: 'comparisonFolder', mode: 'read' });
+    } catch (e) {
+        if (e.name !== 'AbortError') {
+            console.error("Error browsing for folder:", e);
         }
+        return null;
     }
 
-    return xmlContent;
-}
-
-// Add these functions to your app.js file
-
-/**
- * Open a native folder picker dialog and return the selected path
- * Note: This requires server-side implementation to work properly
- */
-async function browseFolder(title) {
     try {
-        // First, check if we're in a desktop environment where we can select folders
-        const isDesktopEnvironment = await window.isDesktopEnvironment?.();
+        showProcessingIndicator(`Reading ${directoryHandle.name}...`);
+        const files = [];
+        try {
+            await collectDirectoryHandleFiles(directoryHandle, '', files);
+        } finally {
+            hideProcessingIndicator();
+        }
 
-        if (isDesktopEnvironment) {
-            // Call C# method through JS interop to open native folder dialog
-            return await DotNet.invokeMethodAsync('ComparisonTool.Web', 'BrowseFolderAsync', title);
-        } else {
-            // In web environment, create a clearer message
-            alert("Folder selection is only available in desktop mode.\n\nPlease manually enter the folder path or use file upload mode.");
+        if (files.length === 0) {
+            alert(`No XML or JSON files were found in ${directoryHandle.name}.`);
             return null;
         }
+
+        const uploadKey = `browse:${title || directoryHandle.name}`;
+        const listener = createUploadResultListener();
+        await window.startFolderUpload(uploadKey, files, 25, listener);
+        listener.settle(null);
+
+        const outcome = await listener.result;
+        if (outcome && outcome.manifest) {
+            return outcome.manifest.rootPath;
+        }
+
+        if (outcome && outcome.failure) {
+            // A directory comparison over a partial copy would report false differences
+            await window.cancelFolderUpload(uploadKey, null);
+            alert(`${outcome.failure.failedFiles.length} files from ${directoryHandle.name} could not be uploaded. Please try again.`);
+        } else if (outcome && outcome.error) {
+            alert(`Error uploading ${directoryHandle.name}: ${outcome.error}`);
+        }
+
+        return null;
     } catch (e) {
-        console.error("Error browsing for folder:", e);
+        console.error("Error uploading folder:", e);
         return null;
     }
 }
 
+// Walk a directory handle, tagging each supported file with its path relative to the picked directory
+async function collectDirectoryHandleFiles(directoryHandle, prefix, files) {
+    for await (const handle of directoryHandle.values()) {
+        const path = prefix ? `${prefix}/${handle.name}` : handle.name;
+        if (handle.kind === 'directory') {
+            await collectDirectoryHandleFiles(handle, path, files);
+        } else if (isSupportedFile(handle) || handle.name === comparisonIgnoreFileName) {
+            const file = await handle.getFile();
+            setUploadRelativePath(file, path);
+            files.push(file);
+        }
+    }
+}
+
+// Stands in for a DotNetObjectReference so JS callers can await the outcome of an upload
+function createUploadResultListener() {
+    let settled = false;
+    let resolveResult;
+    const result = new Promise(resolve => { resolveResult = resolve; });
+
+    const settle = (value) => {
+        if (!settled) {
+            settled = true;
+            resolveResult(value);
+        }
+    };
+
+    return {
+        result,
+        settle,
+        invokeMethodAsync(method, ...args) {
+            switch (method) {
+                case 'OnBatchUploadComplete':
+                    settle({ manifest: JSON.parse(args[0]) });
+                    break;
+                case 'OnBatchUploadFailed':
+                    settle({ failure: JSON.parse(args[0]) });
+                    break;
+                case 'OnBatchUploadError':
+                    settle({ error: args[0] });
+                    break;
+                case 'OnBatchUploadCancelled':
+                    settle(null);
+                    break;
+            }
+            return Promise.resolve();
+        }
+    };
+}
+
 /**
  * Shows a modal dialog for entering a folder path
  */
 function showFolderPathDialog(title, defaultPath) {
     return new Promise((resolve) => {
+        if (typeof bootstrap === 'undefined') {
+            // No Bootstrap modal support on this page; use the browser's own prompt
+            resolve(window.prompt(title || 'Enter Folder Path', defaultPath || ''));
+            return;
+        }
+
         // Create modal if it doesn't exist
         let modal = document.getElementById('folderPathModal');
         if (!modal) {
@@ -477,10 +563,14 @@ async function processFolderContents(files, processor, batchSize = 50) {
         console.log(`Processed folder ${i + 1}/${folderNames.length}: ${folderName} with ${folderFiles.length} files`);
     }
 }
+// Server memory needed to compare a file is roughly its size times this factor
+// (the parsed document plus the deserialized object graph)
+const serverMemoryFactor = 2.5;
+
 /**
- * Estimate memory usage for a set of files
+ * Estimate server memory for comparing a set of files. memoryLimitBytes (0 for none) sets isLarge.
  */
-function estimateMemoryUsage(files) {
+function estimateMemoryUsage(files, memoryLimitBytes = 0) {
     let totalSize = 0;
     let supportedFileCount = 0;
 
@@ -491,18 +581,244 @@ function estimateMemoryUsage(files) {
         }
     }
 
-    // Add some overhead for processing
-    const estimatedMemoryMB = (totalSize * 2.5) / (1024 * 1024);
+    const estimatedMemoryBytes = Math.round(totalSize * serverMemoryFactor);
 
     return {
-        totalSizeMB: totalSize / (1024 * 1024),
-        estimatedMemoryMB: estimatedMemoryMB,
-        xmlCount: xmlCount,
-        isLarge: estimatedMemoryMB > 500 // Flag if more than 500MB estimated
+        totalSize,
+        estimatedMemoryBytes,
+        supportedFileCount,
+        isLarge: memoryLimitBytes > 0 && estimatedMemoryBytes > memoryLimitBytes
     };
 }
 
-// Batch upload folder files to backend using fetch and notify Blazor of progress/errors via DotNetObjectRef
+// Retry policy for individual batch POSTs. Transient failures (network errors,
+// 408/429 and 5xx responses) are retried with exponential backoff; other 4xx responses fail fast.
+const batchUploadRetryPolicy = {
+    maxAttempts: 4,
+    initialDelayMs: 1000,
+    maxDelayMs: 15000
+};
+
+// Batches are built from a byte budget rather than a file count. maxRequestBytes stays below
+// Kestrel's default 30 MB request body limit; a file larger than that can't be uploaded at all.
+const batchUploadLimits = {
+    targetBatchBytes: 8 * 1024 * 1024,
+    maxRequestBytes: 28 * 1024 * 1024,
+    maxFilesPerBatch: 250,
+    multipartOverheadBytes: 512 // Per-file part headers in the multipart body
+};
+
+// Bounds and thresholds for adapting the number of concurrent batch requests
+const batchConcurrencyPolicy = {
+    initial: 2,
+    min: 1,
+    max: 6,
+    slowLatencyFactor: 2 // A batch this many times slower (per byte) than the best seen counts as slow
+};
+
+// Upload state per input element so a partially failed upload can be resumed or cancelled
+window.__folderUploads = window.__folderUploads || {};
+
+// Pre-upload validation settings per upload key ({ expectedRootElement }); keys without settings skip validation
+window.__uploadValidation = window.__uploadValidation || {};
+
+// Selections that failed validation, waiting for the user to skip the bad files or upload anyway
+window.__pendingUploadValidations = window.__pendingUploadValidations || {};
+
+// Preflight settings per upload key ({ memoryLimitBytes }) for the estimate shown in the filter preview
+window.__uploadPreflight = window.__uploadPreflight || {};
+
+// Largest files listed in the preflight, so oversized ones can be deselected
+const preflightLargestFileCount = 20;
+
+// Filtered selections waiting for the user to confirm the preview (see fileFilters.js)
+window.__pendingUploadPreviews = window.__pendingUploadPreviews || {};
+
+// The last selection that started uploading per upload key, for the pairing preview (see pairingPreview.js)
+window.__uploadSelections = window.__uploadSelections || {};
+
+// Files listed per group in the filter preview; the counts always cover everything
+const uploadPreviewListLimit = 500;
+
+// Relative paths for files that don't come from a webkitdirectory input (e.g. dropped folders),
+// where File.webkitRelativePath is empty and read-only
+const uploadRelativePaths = new WeakMap();
+
+function setUploadRelativePath(file, path) {
+    uploadRelativePaths.set(file, path);
+}
+
+// The path a file is uploaded under, preserving its folder structure
+function getUploadRelativePath(file) {
+    return uploadRelativePaths.get(file) || file.webkitRelativePath || file.name;
+}
+
+// Canonicalization settings per upload key ({ enabled }); see canonicalize.js
+window.__uploadCanonicalization = window.__uploadCanonicalization || {};
+
+// Files canonicalized before upload travel with their original in this form field, at the same
+// relative path, and the server keeps it apart from the uploaded files so the original text can still
+// be shown. Files the server already had (attachCachedContent) are not sent at all, so their original
+// is not kept.
+const canonicalizedOriginalsField = 'originals';
+const canonicalizedUploadOriginals = new WeakMap();
+
+function setCanonicalizedUploadOriginal(file, original) {
+    canonicalizedUploadOriginals.set(file, original);
+}
+
+// Request bytes a file adds to a batch, including the original sent along with a canonicalized file
+function getUploadRequestBytes(file) {
+    const original = canonicalizedUploadOriginals.get(file);
+    return file.size + batchUploadLimits.multipartOverheadBytes +
+        (original ? original.size + batchUploadLimits.multipartOverheadBytes : 0);
+}
+
+// Invoke an upload callback on the .NET side. Components only implement the callbacks they need,
+// and the circuit may be gone, so a failed notification must never break the upload itself.
+function notifyUploadListener(dotNetRef, method, ...args) {
+    if (!dotNetRef) {
+        return;
+    }
+
+    dotNetRef.invokeMethodAsync(method, ...args).catch(e => {
+        console.warn(`Upload callback ${method} failed:`, e);
+    });
+}
+
+// Resolves after the delay, or rejects with an AbortError as soon as the signal fires
+function delayWithAbort(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new DOMException('Upload cancelled', 'AbortError'));
+            return;
+        }
+
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Upload cancelled', 'AbortError'));
+            }, { once: true });
+        }
+    });
+}
+
+function isRetryableUploadStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+function getBatchRetryDelay(attempt) {
+    const exponential = batchUploadRetryPolicy.initialDelayMs * Math.pow(2, attempt - 1);
+    const capped = Math.min(exponential, batchUploadRetryPolicy.maxDelayMs);
+    // Add jitter so concurrent batches don't retry in lockstep
+    return Math.round(capped * (0.5 + Math.random() / 2));
+}
+
+// Byte progress is reported to Blazor at most this often
+const uploadProgressReportIntervalMs = 250;
+
+// Throughput is averaged over this trailing window so the ETA doesn't jump around
+const uploadThroughputWindowMs = 5000;
+
+// fetch() has no upload progress events, so batch POSTs go through XMLHttpRequest.
+// Resolves with { ok, status, statusText, text }; rejects on network failure or abort.
+function sendUploadBatchRequest(url, form, signal, onProgress) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(new DOMException('Upload cancelled', 'AbortError'));
+            return;
+        }
+
+        const xhr = new XMLHttpRequest();
+        const onAbort = () => xhr.abort();
+
+        xhr.open('POST', url);
+        xhr.upload.onprogress = (e) => {
+            if (onProgress && e.lengthComputable) {
+                onProgress(e.loaded, e.total);
+            }
+        };
+        xhr.onload = () => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve({
+                ok: xhr.status >= 200 && xhr.status < 300,
+                status: xhr.status,
+                statusText: xhr.statusText,
+                text: xhr.responseText
+            });
+        };
+        xhr.onerror = () => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            reject(new TypeError('Network error while uploading batch'));
+        };
+        xhr.onabort = () => {
+            reject(new DOMException('Upload cancelled', 'AbortError'));
+        };
+
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        xhr.send(form);
+    });
+}
+
+// POST a single batch to url, retrying transient failures. Resolves with the parsed backend response.
+// onProgress receives the fraction (0-1) of the current attempt's request body that was sent;
+// onAttemptFailed is told about every failed attempt, including ones that are retried.
+// fields are sent as extra form values alongside the files.
+async function postUploadBatchWithRetry(url, batchFiles, signal, onProgress, onAttemptFailed, fields = {}) {
+    const form = new FormData();
+    for (const [name, value] of Object.entries(fields)) {
+        form.append(name, value);
+    }
+    for (const file of batchFiles) {
+        // Use the relative path to preserve folder structure
+        form.append('files', file, getUploadRelativePath(file));
+
+        const original = canonicalizedUploadOriginals.get(file);
+        if (original) {
+            form.append(canonicalizedOriginalsField, original, getUploadRelativePath(file));
+        }
+    }
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= batchUploadRetryPolicy.maxAttempts; attempt++) {
+        let retryable = true;
+        try {
+            if (onProgress) onProgress(0);
+            const response = await sendUploadBatchRequest(url, form, signal, (loaded, total) => {
+                if (onProgress) onProgress(total > 0 ? loaded / total : 0);
+            });
+
+            if (response.ok) {
+                return JSON.parse(response.text);
+            }
+
+            retryable = isRetryableUploadStatus(response.status);
+            lastError = new Error(`HTTP ${response.status}: ${response.text || response.statusText}`);
+        } catch (e) {
+            if (e.name === 'AbortError') {
+                throw e;
+            }
+
+            // Network failure (connection reset, VPN drop, ...) - always worth another attempt
+            lastError = e;
+        }
+
+        if (onAttemptFailed) onAttemptFailed(lastError);
+
+        if (!retryable || attempt === batchUploadRetryPolicy.maxAttempts) {
+            break;
+        }
+
+        const delay = getBatchRetryDelay(attempt);
+        console.log(`Batch upload attempt ${attempt} failed, retrying in ${delay}ms:`, lastError);
+        await delayWithAbort(delay, signal);
+    }
+
+    throw lastError;
+}
+
+// Batch upload folder files to backend and notify Blazor of progress/errors via DotNetObjectRef
 window.uploadFolderInBatches = async function (inputId, batchSize, dotNetRef) {
     console.log('uploadFolderInBatches called with', inputId, batchSize, dotNetRef);
     const input = document.getElementById(inputId);
@@ -511,140 +827,833 @@ window.uploadFolderInBatches = async function (inputId, batchSize, dotNetRef) {
         alert('Could not find folder input element.');
         return;
     }
+    await window.startFolderUpload(inputId, Array.from(input.files), batchSize, dotNetRef);
+};
+
+// Upload a set of files (from a folder input, a drop zone, ...) through the batch pipeline.
+// uploadKey identifies the upload for resumeFolderUpload/completeFolderUpload/cancelFolderUpload.
+// When filters are configured for uploadKey, the filtered selection is reported through
+// OnUploadFilterPreview and waits for resolveUploadFilterPreview.
+// When validation is configured for uploadKey, files are parsed first and problems are reported
+// through OnBatchUploadValidationFailed; the upload then waits for resolveUploadValidation.
+window.startFolderUpload = async function (uploadKey, selectedFiles, batchSize, dotNetRef) {
+    delete window.__pendingUploadValidations[uploadKey];
+    delete window.__pendingUploadPreviews[uploadKey];
+
+    // ZIP archives are unpacked in the browser; entries that cannot be read are reported as rejected
+    let archiveRejected = [];
+    if (selectedFiles.some(isZipArchive)) {
+        const expanded = await expandZipArchives(selectedFiles);
+        selectedFiles = expanded.files;
+        archiveRejected = expanded.rejected;
+    }
+
+    // Configured keys get include/exclude filtering and a preview the user confirms first
+    if (window.__uploadFilters[uploadKey]) {
+        const { included, skipped, ignoreFiles } = await applyUploadFilters(uploadKey, selectedFiles);
+        window.__pendingUploadPreviews[uploadKey] = { candidates: included, batchSize, archiveRejected };
+        const memoryLimitBytes = (window.__uploadPreflight[uploadKey] || {}).memoryLimitBytes || 0;
+        const memory = estimateMemoryUsage(included);
+        notifyUploadListener(dotNetRef, 'OnUploadFilterPreview', JSON.stringify({
+            total: included.length + skipped.length,
+            includedCount: included.length,
+            includedFiles: included.slice(0, uploadPreviewListLimit).map(f => getUploadRelativePath(f)),
+            includedBytes: included.reduce((sum, f) => sum + f.size, 0),
+            skippedCount: skipped.length,
+            skippedFiles: skipped.slice(0, uploadPreviewListLimit),
+            ignoreFiles,
+            folders: getFolderStats(included).folderBreakdown,
+            largestFiles: [...included]
+                .sort((a, b) => b.size - a.size)
+                .slice(0, preflightLargestFileCount)
+                .map(f => ({ path: getUploadRelativePath(f), size: f.size, estimatedMemory: Math.round(f.size * serverMemoryFactor) })),
+            estimatedMemory: memory.estimatedMemoryBytes,
+            memoryLimit: memoryLimitBytes
+        }));
+        return;
+    }
+
     // Filter for supported files (XML and JSON)
-    const files = Array.from(input.files).filter(f => isSupportedFile(f));
-    const totalFiles = files.length;
-    let uploaded = 0;
-    let uploadedFileNames = [];
-    
-    // OPTIMIZATION: Use larger batch sizes and parallel uploads
-    // Larger batches = fewer HTTP requests = faster overall upload
-    let adjustedBatchSize;
-    if (totalFiles > 2000) {
-        adjustedBatchSize = 100; // Very large: 100 files per batch
-    } else if (totalFiles > 500) {
-        adjustedBatchSize = 50;  // Large: 50 files per batch
+    const candidates = selectedFiles.filter(f => isSupportedFile(f));
+    await validateAndBeginFolderUpload(uploadKey, candidates, batchSize, dotNetRef, archiveRejected);
+};
+
+/**
+ * Continue or drop a selection shown in the filter preview.
+ * decision: 'upload' sends the included files, 'cancel' drops the selection.
+ * deselected: { folders: [path], files: [path] } left out of the upload from the preflight.
+ */
+window.resolveUploadFilterPreview = function (uploadKey, decision, dotNetRef, deselected) {
+    const pending = window.__pendingUploadPreviews[uploadKey];
+    if (!pending) {
+        notifyUploadListener(dotNetRef, 'OnBatchUploadError', 'There is no previewed selection waiting to be uploaded.');
+        return;
+    }
+
+    delete window.__pendingUploadPreviews[uploadKey];
+    if (decision === 'cancel') {
+        return;
+    }
+
+    let candidates = pending.candidates;
+    if (deselected) {
+        // Folders are the exact folder paths of the preflight breakdown, not their subfolders
+        const folders = new Set(deselected.folders || []);
+        const files = new Set(deselected.files || []);
+        candidates = candidates.filter(f => {
+            const path = getUploadRelativePath(f);
+            const folder = path.split('/').slice(0, -1).join('/') || 'Root';
+            return !folders.has(folder) && !files.has(path);
+        });
+    }
+
+    // Validation and the upload report back through the callbacks; the interop call does not wait for them
+    runUploadDetached(
+        () => validateAndBeginFolderUpload(uploadKey, candidates, pending.batchSize, dotNetRef, pending.archiveRejected),
+        dotNetRef);
+};
+
+async function validateAndBeginFolderUpload(uploadKey, candidates, batchSize, dotNetRef, archiveRejected) {
+    const validation = window.__uploadValidation[uploadKey];
+    if (validation && candidates.length > 0) {
+        const invalid = await validateUploadCandidates(candidates, validation);
+        if (invalid.length > 0) {
+            window.__pendingUploadValidations[uploadKey] = { candidates, invalid, batchSize, archiveRejected };
+            notifyUploadListener(dotNetRef, 'OnBatchUploadValidationFailed', JSON.stringify({
+                total: candidates.length,
+                invalidFiles: invalid.map(entry => entry.report)
+            }));
+            return;
+        }
+    }
+
+    await beginFolderUpload(uploadKey, candidates, batchSize, dotNetRef, archiveRejected);
+}
+
+window.configureUploadPreflight = function (uploadKey, options) {
+    window.__uploadPreflight[uploadKey] = options || {};
+};
+
+window.removeUploadPreflight = function (uploadKey) {
+    delete window.__uploadPreflight[uploadKey];
+};
+
+window.configureUploadValidation = function (uploadKey, options) {
+    window.__uploadValidation[uploadKey] = options || {};
+};
+
+// Opt in to canonicalizing XML/JSON files in the browser before they are uploaded
+window.configureUploadCanonicalization = function (uploadKey, enabled) {
+    if (enabled) {
+        window.__uploadCanonicalization[uploadKey] = { enabled: true };
     } else {
-        adjustedBatchSize = Math.max(batchSize, 25); // Use at least 25
+        delete window.__uploadCanonicalization[uploadKey];
     }
-    
-    // OPTIMIZATION: Process multiple batches in parallel
-    const maxConcurrentBatches = totalFiles > 1000 ? 4 : (totalFiles > 500 ? 3 : 2);
-    
-    // Create batch ranges
-    const batches = [];
-    for (let i = 0; i < totalFiles; i += adjustedBatchSize) {
-        batches.push({
-            start: i,
-            end: Math.min(i + adjustedBatchSize, totalFiles)
+};
+
+window.removeUploadValidation = function (uploadKey) {
+    delete window.__uploadValidation[uploadKey];
+    delete window.__pendingUploadValidations[uploadKey];
+};
+
+/**
+ * Continue a selection that failed validation.
+ * decision: 'skip' uploads only the valid files, 'upload' sends everything, 'cancel' drops the selection.
+ */
+window.resolveUploadValidation = function (uploadKey, decision, dotNetRef) {
+    const pending = window.__pendingUploadValidations[uploadKey];
+    if (!pending) {
+        notifyUploadListener(dotNetRef, 'OnBatchUploadError', 'There is no validated selection waiting to be uploaded.');
+        return;
+    }
+
+    delete window.__pendingUploadValidations[uploadKey];
+    if (decision === 'cancel') {
+        return;
+    }
+
+    let files = pending.candidates;
+    if (decision === 'skip') {
+        const invalidFiles = new Set(pending.invalid.map(entry => entry.file));
+        files = files.filter(f => !invalidFiles.has(f));
+    }
+
+    // The upload reports back through the callbacks; the interop call does not wait for it
+    runUploadDetached(() => beginFolderUpload(uploadKey, files, pending.batchSize, dotNetRef, pending.archiveRejected), dotNetRef);
+};
+
+// alreadyRejected: files dropped earlier in the pipeline (e.g. unreadable ZIP entries), reported
+// together with the ones rejected here
+async function beginFolderUpload(uploadKey, candidates, batchSize, dotNetRef, alreadyRejected = []) {
+    if (window.__uploadCanonicalization[uploadKey] && candidates.length > 0) {
+        candidates = await canonicalizeUploadCandidates(candidates);
+    }
+
+    // batchSize may raise, but not lower, the per-batch file cap
+    const { batches, rejected: tooLarge } = buildSizeAwareBatches(candidates, Math.max(batchSize, batchUploadLimits.maxFilesPerBatch));
+    const rejected = [...alreadyRejected, ...tooLarge];
+    if (rejected.length > 0) {
+        console.log('Files rejected before upload:', rejected.length);
+        notifyUploadListener(dotNetRef, 'OnBatchUploadFilesRejected', JSON.stringify(rejected));
+    }
+
+    const files = batches.flatMap(b => b.files);
+    const upload = {
+        files,
+        batches,
+        totalBytes: files.reduce((sum, f) => sum + f.size, 0),
+        concurrency: createConcurrencyController(),
+        sessionId: null,
+        contentChecked: false,
+        abortController: null,
+        cancelled: false
+    };
+    window.__folderUploads[uploadKey] = upload;
+    window.__uploadSelections[uploadKey] = files;
+
+    await runFolderUpload(uploadKey, upload, dotNetRef);
+}
+
+// Replace candidates with their canonical form. Canonicalization is advisory: on failure the files
+// are uploaded as selected.
+async function canonicalizeUploadCandidates(candidates) {
+    showProcessingIndicator('Canonicalizing files...');
+    try {
+        const { files, canonicalized } = await canonicalizeUploadFiles(candidates, (done, total) => {
+            updateProcessingProgress((done / total) * 100, done, total);
+        });
+        console.log('Canonicalized', canonicalized.length, 'of', candidates.length, 'files before upload');
+        return files;
+    } catch (e) {
+        console.warn('Canonicalization unavailable, uploading files as selected:', e);
+        return candidates;
+    } finally {
+        hideProcessingIndicator();
+    }
+}
+
+// Parse every candidate; returns [{ file, report: { path, kind, message, line, column, rootElement } }]
+// for the files that failed. Validation is advisory, so if the worker cannot run nothing is flagged.
+async function validateUploadCandidates(candidates, validation) {
+    showProcessingIndicator('Validating files...');
+    try {
+        const results = await validateUploadFiles(candidates, validation.expectedRootElement, (done, total) => {
+            updateProcessingProgress((done / total) * 100, done, total);
         });
+
+        return results
+            .map((result, index) => ({ file: candidates[index], result }))
+            .filter(entry => entry.result && !entry.result.valid)
+            .map(entry => ({
+                file: entry.file,
+                report: {
+                    path: getUploadRelativePath(entry.file),
+                    kind: entry.result.kind,
+                    message: entry.result.message,
+                    line: entry.result.line,
+                    column: entry.result.column,
+                    rootElement: entry.result.rootElement || null
+                }
+            }));
+    } catch (e) {
+        console.warn('Pre-upload validation unavailable, uploading without it:', e);
+        return [];
+    } finally {
+        hideProcessingIndicator();
     }
-    
-    // Process batches with controlled concurrency
-    let batchIndex = 0;
-    const processBatch = async (batch) => {
-        const batchFiles = files.slice(batch.start, batch.end);
-        const form = new FormData();
-        
-        for (const file of batchFiles) {
-            // Use webkitRelativePath to preserve folder structure
-            form.append('files', file, file.webkitRelativePath || file.name);
-        }
-        
+}
+
+// JSON files are parsed in a worker; XML files need DOMParser, which only exists on the main thread.
+// Resolves to one result per file, in the order given.
+async function validateUploadFiles(files, expectedRootElement, onProgress) {
+    const results = new Array(files.length).fill(null);
+    let validated = 0;
+    const report = (index, result) => {
+        results[index] = result;
+        validated++;
+        if (onProgress) onProgress(validated, files.length);
+    };
+
+    const jsonIndexes = [];
+    const xmlIndexes = [];
+    files.forEach((file, index) => {
+        (file.name.toLowerCase().endsWith('.json') ? jsonIndexes : xmlIndexes).push(index);
+    });
+
+    if (jsonIndexes.length > 0) {
+        await validateJsonFilesInWorker(jsonIndexes.map(index => files[index]), (i, result) => report(jsonIndexes[i], result));
+    }
+
+    for (const index of xmlIndexes) {
+        let result;
         try {
-            const response = await fetch('/api/upload/batch', {
-                method: 'POST',
-                body: form
+            result = validateXmlText(await files[index].text(), expectedRootElement);
+        } catch (err) {
+            result = { valid: false, kind: 'malformed', message: `Could not read file: ${err.message}`, line: null, column: null };
+        }
+        report(index, result);
+
+        // Let the progress indicator repaint between files
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    return results;
+}
+
+function validateJsonFilesInWorker(files, onResult) {
+    return new Promise((resolve, reject) => {
+        if (!window.Worker) {
+            reject(new Error('Web workers are not supported in this browser context'));
+            return;
+        }
+
+        const worker = new Worker('js/validationWorker.js');
+        worker.onmessage = (e) => {
+            if (e.data.done) {
+                worker.terminate();
+                resolve();
+                return;
+            }
+
+            onResult(e.data.index, e.data);
+        };
+        worker.onerror = (e) => {
+            worker.terminate();
+            reject(new Error(e.message || 'File validation failed'));
+        };
+        worker.postMessage({ files });
+    });
+}
+
+// Namespaces browsers put their <parsererror> element in: Chromium/WebKit and Firefox
+const xmlParserErrorNamespaces = [
+    'http://www.w3.org/1999/xhtml',
+    'http://www.mozilla.org/newlayout/xml/parsererror.xml'
+];
+
+// Checks well-formedness with the browser's XML parser and compares the root element with the one
+// the selected domain model expects, by local name like the namespace-agnostic reader.
+// Returns { valid, kind, message, line, column, rootElement }; kind is 'malformed' or 'mismatch'.
+function validateXmlText(text, expectedRootElement) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const parserError = Array.from(doc.getElementsByTagName('parsererror'))
+        .find(element => xmlParserErrorNamespaces.includes(element.namespaceURI));
+    if (parserError) {
+        return { valid: false, kind: 'malformed', ...describeXmlParserError(parserError) };
+    }
+
+    const rootName = doc.documentElement.localName;
+    const expectedName = expectedRootElement ? expectedRootElement.slice(expectedRootElement.indexOf(':') + 1) : null;
+    if (expectedName && rootName !== expectedName) {
+        return {
+            valid: false,
+            kind: 'mismatch',
+            message: `Root element is <${rootName}> but the selected model expects <${expectedRootElement}>`,
+            line: null,
+            column: null,
+            rootElement: rootName
+        };
+    }
+
+    return { valid: true, rootElement: rootName };
+}
+
+// Chromium/WebKit: "error on line 3 at column 7: Opening and ending tag mismatch: ..."
+// Firefox: "XML Parsing Error: mismatched tag. Expected: </a>.\nLocation: ...\nLine Number 3, Column 7:"
+function describeXmlParserError(parserError) {
+    const text = parserError.textContent || '';
+    const chromium = /error on line (\d+) at column (\d+): ([^\n]*)/.exec(text);
+    if (chromium) {
+        return { message: chromium[3].trim(), line: Number(chromium[1]), column: Number(chromium[2]) };
+    }
+
+    const firefoxLocation = /Line Number (\d+), Column (\d+)/.exec(text);
+    const firefoxMessage = /XML Parsing Error: ([^\n]*)/.exec(text);
+    return {
+        message: (firefoxMessage ? firefoxMessage[1] : text.split('\n').find(line => line.trim()) || 'The XML is not well-formed').trim(),
+        line: firefoxLocation ? Number(firefoxLocation[1]) : null,
+        column: firefoxLocation ? Number(firefoxLocation[2]) : null
+    };
+}
+
+// Group files into batches that fill a byte budget. Files bigger than the budget travel alone;
+// files too big for any request are rejected up front with a reason instead of failing mid-upload.
+function buildSizeAwareBatches(files, maxFilesPerBatch) {
+    const batches = [];
+    const rejected = [];
+    let current = null;
+
+    const createBatch = () => ({
+        files: [],
+        bytes: 0,
+        requestBytes: 0,
+        sentBytes: 0,
+        status: 'pending',
+        result: null,
+        error: null
+    });
+
+    for (const file of files) {
+        const requestBytes = getUploadRequestBytes(file);
+        if (requestBytes > batchUploadLimits.maxRequestBytes) {
+            rejected.push({
+                path: getUploadRelativePath(file),
+                size: file.size,
+                reason: `File is ${formatBytes(file.size)}; the server accepts at most ${formatBytes(batchUploadLimits.maxRequestBytes)} per request`
             });
-            
-            if (!response.ok) {
-                const err = await response.text();
-                console.log('Batch upload error:', err);
-                throw new Error(err);
+            continue;
+        }
+
+        if (requestBytes > batchUploadLimits.targetBatchBytes) {
+            const single = createBatch();
+            single.files.push(file);
+            single.bytes = file.size;
+            single.requestBytes = requestBytes;
+            batches.push(single);
+            continue;
+        }
+
+        if (!current ||
+            current.requestBytes + requestBytes > batchUploadLimits.targetBatchBytes ||
+            current.files.length >= maxFilesPerBatch) {
+            current = createBatch();
+            batches.push(current);
+        }
+
+        current.files.push(file);
+        current.bytes += file.size;
+        current.requestBytes += requestBytes;
+    }
+
+    return { batches, rejected };
+}
+
+// Additive-increase / multiplicative-decrease control of concurrent batch requests. Failed
+// attempts halve the limit; a run of batches at normal latency raises it by one, slow ones lower it.
+function createConcurrencyController() {
+    let limit = batchConcurrencyPolicy.initial;
+    let bestMsPerByte = null;
+    let successesSinceChange = 0;
+
+    return {
+        get limit() {
+            return limit;
+        },
+        recordSuccess(durationMs, bytes) {
+            const msPerByte = durationMs / Math.max(bytes, 1);
+            bestMsPerByte = bestMsPerByte === null ? msPerByte : Math.min(bestMsPerByte, msPerByte);
+
+            if (msPerByte > bestMsPerByte * batchConcurrencyPolicy.slowLatencyFactor) {
+                limit = Math.max(batchConcurrencyPolicy.min, limit - 1);
+                successesSinceChange = 0;
+                return;
             }
-            
-            // Parse backend response
-            const result = await response.json();
-            
-            // Handle large file sets with the new approach
-            if (result.batchId) {
-                return { batchId: result.batchId, count: result.uploaded };
-            } else if (result && result.files) {
-                return { files: result.files, count: result.uploaded };
+
+            successesSinceChange++;
+            if (successesSinceChange >= limit) {
+                limit = Math.min(batchConcurrencyPolicy.max, limit + 1);
+                successesSinceChange = 0;
             }
-            return { count: 0 };
+        },
+        recordFailure() {
+            limit = Math.max(batchConcurrencyPolicy.min, Math.floor(limit / 2));
+            successesSinceChange = 0;
+        }
+    };
+}
+
+// Blazor awaits an invoked function with a one-minute timeout, so work that can outlast it (a large
+// upload, a picker left open) is started without being awaited. Its progress and outcome reach .NET
+// through the upload callbacks; an unexpected failure is reported as OnBatchUploadError.
+function runUploadDetached(work, dotNetRef) {
+    work().catch(e => {
+        console.error('Upload failed:', e);
+        notifyUploadListener(dotNetRef, 'OnBatchUploadError', e.toString());
+    });
+}
+
+// Re-send only the batches that failed in the last run, keeping the ones that already landed
+window.resumeFolderUpload = function (inputId, dotNetRef) {
+    const upload = window.__folderUploads[inputId];
+    if (!upload) {
+        notifyUploadListener(dotNetRef, 'OnBatchUploadError', 'There is no interrupted upload to resume.');
+        return;
+    }
+
+    for (const batch of upload.batches) {
+        if (batch.status === 'failed') {
+            batch.status = 'pending';
+            batch.error = null;
+        }
+    }
+
+    upload.cancelled = false;
+
+    runUploadDetached(() => runFolderUpload(inputId, upload, dotNetRef), dotNetRef);
+};
+
+// Accept a partially failed upload and hand the successfully uploaded files to Blazor
+window.completeFolderUpload = async function (inputId, dotNetRef) {
+    const upload = window.__folderUploads[inputId];
+    if (!upload) {
+        notifyUploadListener(dotNetRef, 'OnBatchUploadError', 'There is no interrupted upload to complete.');
+        return;
+    }
+
+    await finishFolderUpload(inputId, upload, dotNetRef);
+};
+
+// Abort in-flight batch requests, stop queuing new ones and discard what reached the server
+window.cancelFolderUpload = async function (inputId, dotNetRef) {
+    const upload = window.__folderUploads[inputId];
+    if (!upload) {
+        return;
+    }
+
+    upload.cancelled = true;
+    if (upload.abortController) {
+        // The running upload notices the abort and performs the cleanup itself
+        upload.abortController.abort();
+        return;
+    }
+
+    // Nothing in flight (e.g. cancelled after a partial failure) - clean up directly
+    await discardFolderUpload(inputId, upload, dotNetRef);
+};
+
+async function discardFolderUpload(inputId, upload, dotNetRef) {
+    const discardedBatches = upload.batches.filter(b => b.status === 'done').length;
+
+    // Best-effort: anything left behind is removed by the server's startup cleanup
+    if (upload.sessionId) {
+        try {
+            await fetch(`/api/upload/sessions/${upload.sessionId}`, { method: 'DELETE' });
         } catch (e) {
-            console.log('Batch upload exception:', e);
-            throw e;
+            console.warn('Failed to discard upload session', upload.sessionId, e);
+        }
+    }
+
+    closeResumableUpload(upload);
+    await forgetResumableUpload(upload.sessionId);
+    delete window.__folderUploads[inputId];
+    delete window.__uploadSelections[inputId];
+
+    console.log('Upload cancelled, discarded', discardedBatches, 'uploaded batches');
+    notifyUploadListener(dotNetRef, 'OnBatchUploadCancelled', discardedBatches);
+}
+
+// Hash files with SHA-256 in a web worker. Resolves with one lowercase hex hash per file
+// (null where hashing failed), or rejects if workers/SubtleCrypto aren't available.
+function hashFilesInWorker(files, onProgress) {
+    return new Promise((resolve, reject) => {
+        if (!window.Worker || !window.crypto || !window.crypto.subtle) {
+            reject(new Error('File hashing is not supported in this browser context'));
+            return;
+        }
+
+        const hashes = new Array(files.length).fill(null);
+        let hashed = 0;
+        const worker = new Worker('js/hashWorker.js');
+        worker.onmessage = (e) => {
+            if (e.data.done) {
+                worker.terminate();
+                resolve(hashes);
+                return;
+            }
+
+            hashes[e.data.index] = e.data.hash;
+            hashed++;
+            if (onProgress) onProgress(hashed, files.length);
+        };
+        worker.onerror = (e) => {
+            worker.terminate();
+            reject(new Error(e.message || 'File hashing failed'));
+        };
+        worker.postMessage({ files });
+    });
+}
+
+// Hash the files still waiting to be uploaded and let the server attach those it already has.
+// Cached files are moved into a completed batch so they count as uploaded; only the rest is sent.
+async function attachCachedContent(upload) {
+    const pending = upload.batches.filter(b => b.status === 'pending');
+    const files = pending.flatMap(b => b.files);
+    if (files.length === 0) {
+        return;
+    }
+
+    let hashes;
+    try {
+        updateProcessingProgress(0, 0, files.length);
+        hashes = await hashFilesInWorker(files, (hashed, total) => {
+            updateProcessingProgress((hashed / total) * 100, hashed, total);
+        });
+    } catch (e) {
+        console.warn('Skipping upload dedup, hashing unavailable:', e);
+        return;
+    }
+
+    const entries = [];
+    files.forEach((file, i) => {
+        if (hashes[i]) {
+            entries.push({ path: getUploadRelativePath(file), hash: hashes[i], size: file.size });
         }
+    });
+
+    let missing;
+    try {
+        const response = await fetch(`/api/upload/sessions/${upload.sessionId}/cached-files`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ files: entries })
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+        }
+        missing = new Set((await response.json()).missing);
+    } catch (e) {
+        console.warn('Skipping upload dedup, cache lookup failed:', e);
+        return;
+    }
+
+    const hashedPaths = new Set(entries.map(entry => entry.path));
+    const isCached = (file) => {
+        const path = getUploadRelativePath(file);
+        return hashedPaths.has(path) && !missing.has(path);
     };
-    
-    // Process batches with concurrency control
-    const results = [];
-    let hasError = false;
-    
-    for (let i = 0; i < batches.length; i += maxConcurrentBatches) {
-        if (hasError) break;
-        
-        const currentBatches = batches.slice(i, i + maxConcurrentBatches);
-        
+
+    const cachedFiles = files.filter(isCached);
+    if (cachedFiles.length === 0) {
+        return;
+    }
+
+    for (const batch of pending) {
+        batch.files = batch.files.filter(f => !isCached(f));
+        batch.bytes = batch.files.reduce((sum, f) => sum + f.size, 0);
+        batch.requestBytes = batch.files.reduce((sum, f) => sum + getUploadRequestBytes(f), 0);
+    }
+
+    upload.batches = upload.batches.filter(b => b.status !== 'pending' || b.files.length > 0);
+    upload.batches.push({
+        files: cachedFiles,
+        bytes: cachedFiles.reduce((sum, f) => sum + f.size, 0),
+        requestBytes: 0,
+        sentBytes: 0,
+        status: 'done',
+        cached: true,
+        result: null,
+        error: null
+    });
+
+    console.log('Reused', cachedFiles.length, 'files already on the server');
+}
+
+// Open the server-side upload session all batches of this upload are attached to
+async function openUploadSession() {
+    const response = await fetch('/api/upload/sessions', { method: 'POST' });
+    if (!response.ok) {
+        throw new Error(`Could not start upload session (HTTP ${response.status}): ${await response.text()}`);
+    }
+
+    const result = await response.json();
+    return result.sessionId;
+}
+
+// Aggregates byte progress across concurrent batches and reports it, throttled, to the
+// processing indicator and to Blazor together with throughput and estimated time remaining
+function createUploadProgressTracker(upload, dotNetRef) {
+    const samples = [];
+    let lastReport = 0;
+
+    const sentBytes = () => upload.batches.reduce((sum, b) => {
+        if (b.status === 'done') return sum + b.bytes;
+        if (b.status === 'uploading') return sum + b.sentBytes;
+        return sum;
+    }, 0);
+
+    return {
+        report(force) {
+            const now = performance.now();
+            if (!force && now - lastReport < uploadProgressReportIntervalMs) {
+                return;
+            }
+            lastReport = now;
+
+            const loaded = sentBytes();
+            samples.push({ time: now, bytes: loaded });
+            while (samples.length > 2 && now - samples[0].time > uploadThroughputWindowMs) {
+                samples.shift();
+            }
+
+            const first = samples[0];
+            const elapsedSeconds = (now - first.time) / 1000;
+            const bytesPerSecond = elapsedSeconds > 0 ? Math.max(0, (loaded - first.bytes) / elapsedSeconds) : 0;
+            const etaSeconds = bytesPerSecond > 0 ? (upload.totalBytes - loaded) / bytesPerSecond : null;
+
+            const percentage = upload.totalBytes > 0 ? (loaded / upload.totalBytes) * 100 : 0;
+            const filesDone = upload.batches
+                .filter(b => b.status === 'done')
+                .reduce((sum, b) => sum + b.files.length, 0);
+            updateProcessingProgress(percentage, filesDone, upload.files.length);
+            updateProcessingTransfer(loaded, upload.totalBytes, bytesPerSecond, etaSeconds);
+
+            notifyUploadListener(dotNetRef, 'OnBatchUploadByteProgress', loaded, upload.totalBytes, bytesPerSecond, etaSeconds);
+        }
+    };
+}
+
+async function runFolderUpload(inputId, upload, dotNetRef) {
+    showProcessingIndicator('Uploading files...');
+    try {
+        await uploadPendingBatches(inputId, upload, dotNetRef);
+    } finally {
+        hideProcessingIndicator();
+    }
+}
+
+async function uploadPendingBatches(inputId, upload, dotNetRef) {
+    if (!upload.sessionId) {
         try {
-            const batchResults = await Promise.all(currentBatches.map(b => processBatch(b)));
-            results.push(...batchResults);
-            
-            // Update progress
-            uploaded = Math.min((i + maxConcurrentBatches) * adjustedBatchSize, totalFiles);
-            console.log('Batches uploaded:', uploaded, '/', totalFiles);
-            if (dotNetRef) dotNetRef.invokeMethodAsync('OnBatchUploadProgress', uploaded, totalFiles);
+            upload.sessionId = await openUploadSession();
         } catch (e) {
-            hasError = true;
-            if (dotNetRef) dotNetRef.invokeMethodAsync('OnBatchUploadError', e.toString());
-            break;
+            console.error('Error opening upload session:', e);
+            delete window.__folderUploads[inputId];
+            notifyUploadListener(dotNetRef, 'OnBatchUploadError', e.toString());
+            return;
         }
     }
-    
-    if (hasError) return;
-    
-    // Collect all file names from results
-    for (const result of results) {
-        if (result.batchId) {
-            // Store batch ID for later fetch
-            uploadedFileNames.push(result.batchId);
-        } else if (result.files) {
-            uploadedFileNames = uploadedFileNames.concat(result.files);
+
+    if (!upload.contentChecked) {
+        updateProcessingMessage('Checking for files already on the server...');
+        await attachCachedContent(upload);
+        upload.contentChecked = true;
+        updateProcessingMessage('Uploading files...');
+    }
+
+    // From here on the upload can be resumed after a page reload
+    await saveResumableUpload(inputId, upload);
+
+    const batchUrl = `/api/upload/sessions/${upload.sessionId}/batches`;
+    const totalFiles = upload.files.length;
+    const countUploaded = () => upload.batches
+        .filter(b => b.status === 'done')
+        .reduce((sum, b) => sum + b.files.length, 0);
+
+    const queue = upload.batches.filter(b => b.status === 'pending');
+
+    upload.abortController = new AbortController();
+    if (upload.cancelled) {
+        // Cancelled while the session was opened or files were hashed
+        upload.abortController.abort();
+    }
+    const signal = upload.abortController.signal;
+    const progress = createUploadProgressTracker(upload, dotNetRef);
+    progress.report(true);
+
+    // Process batches with concurrency control; a failed batch no longer stops the others
+    const uploadBatch = async (batch) => {
+        batch.status = 'uploading';
+        batch.sentBytes = 0;
+        const startedAt = performance.now();
+        try {
+            batch.result = await postUploadBatchWithRetry(
+                batchUrl,
+                batch.files,
+                signal,
+                (fraction) => {
+                    batch.sentBytes = Math.round(batch.bytes * fraction);
+                    progress.report(false);
+                },
+                () => upload.concurrency.recordFailure());
+            batch.status = 'done';
+            upload.concurrency.recordSuccess(performance.now() - startedAt, batch.requestBytes);
+            saveResumableUpload(inputId, upload, false);
+        } catch (e) {
+            if (e.name === 'AbortError') {
+                batch.status = 'pending';
+                return;
+            }
+
+            console.log('Batch upload failed after retries:', e);
+            batch.status = 'failed';
+            batch.error = e.message || e.toString();
+        }
+
+        // Update progress - only batches the server has acknowledged count as uploaded
+        const uploaded = countUploaded();
+        console.log('Batches uploaded:', uploaded, '/', totalFiles, 'concurrency:', upload.concurrency.limit);
+        progress.report(true);
+        notifyUploadListener(dotNetRef, 'OnBatchUploadProgress', uploaded, totalFiles);
+    };
+
+    // The concurrency limit can change while batches are in flight, so start new batches
+    // whenever one settles and there is room under the current limit
+    const inFlight = new Set();
+    while ((queue.length > 0 && !signal.aborted) || inFlight.size > 0) {
+        while (queue.length > 0 && !signal.aborted && inFlight.size < upload.concurrency.limit) {
+            const task = uploadBatch(queue.shift()).finally(() => inFlight.delete(task));
+            inFlight.add(task);
+        }
+
+        if (inFlight.size > 0) {
+            await Promise.race(inFlight);
         }
     }
-    
-    // For large uploads, we might need to fetch the file list in a separate request
-    // Check if we have batch IDs that need resolution
-    const batchIds = uploadedFileNames.filter(f => f && f.length === 8 && !f.includes('/') && !f.includes('\\'));
-    if (batchIds.length > 0) {
-        const resolvedFiles = [];
-        for (const batchId of batchIds) {
-            try {
-                const response = await fetch(`/api/upload/batch/${batchId}`);
-                if (response.ok) {
-                    const result = await response.json();
-                    if (result && result.files) {
-                        resolvedFiles.push(...result.files);
-                    }
-                }
-            } catch (e) {
-                console.error('Error fetching file list:', e);
+    upload.abortController = null;
+
+    if (upload.cancelled) {
+        await discardFolderUpload(inputId, upload, dotNetRef);
+        return;
+    }
+
+    await saveResumableUpload(inputId, upload);
+
+    const failedBatches = upload.batches.filter(b => b.status === 'failed');
+    if (failedBatches.length > 0) {
+        const failedFiles = [];
+        for (const batch of failedBatches) {
+            for (const file of batch.files) {
+                failedFiles.push({ path: getUploadRelativePath(file), error: batch.error });
             }
         }
-        // Replace batch IDs with actual file paths
-        uploadedFileNames = uploadedFileNames.filter(f => !batchIds.includes(f)).concat(resolvedFiles);
+
+        const failureReport = JSON.stringify({
+            uploaded: countUploaded(),
+            total: totalFiles,
+            failedFiles
+        });
+        console.log('Upload incomplete:', failedFiles.length, 'files failed');
+        notifyUploadListener(dotNetRef, 'OnBatchUploadFailed', failureReport);
+        return;
     }
+
+    await finishFolderUpload(inputId, upload, dotNetRef);
+}
+
+// Finalize the upload session and hand its manifest to Blazor. The manifest lists every file in
+// the session folder as a path relative to rootPath, the single folder the comparison can use.
+async function finishFolderUpload(inputId, upload, dotNetRef) {
+    let manifest;
+    try {
+        const response = await fetch(`/api/upload/sessions/${upload.sessionId}/complete`, { method: 'POST' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+        }
+        manifest = await response.json();
+    } catch (e) {
+        // Keep the upload state so completing can be tried again
+        console.error('Error finalizing upload session:', e);
+        notifyUploadListener(dotNetRef, 'OnBatchUploadError', e.toString());
+        return;
+    }
+
+    delete window.__folderUploads[inputId];
+    await completeResumableUpload(upload);
     
     // Send result back to Blazor
-    const uploadResult = JSON.stringify({
-        uploaded: uploadedFileNames.length,
-        files: uploadedFileNames
-    });
-    console.log('Upload complete:', uploadedFileNames.length, '/', totalFiles);
-    if (dotNetRef) dotNetRef.invokeMethodAsync('OnBatchUploadComplete', uploadResult);
-};
+    console.log('Upload complete:', manifest.uploaded, '/', upload.files.length);
+    notifyUploadListener(dotNetRef, 'OnBatchUploadComplete', JSON.stringify(manifest));
+}
 
 // Helper to trigger hidden input click and handle upload after file selection
 window.triggerFolderInput = function(inputId, batchSize, dotNetRef) {
@@ -682,6 +1691,61 @@ window.syncScrollPanels = function(sourceId, targetId) {
 
 window.__sideBySideScrollSync = window.__sideBySideScrollSync || {};
 
+// Both panels are padded to the same number of lines by the diff model, so line i of A and line i of
+// B are the same diff row. Offsets are relative to the panel (it is the lines' offsetParent).
+function getSyncLineOffsets(cache, panel) {
+    if (!cache.offsets) {
+        cache.offsets = Array.from(panel.querySelectorAll('.file-line'), line => ({
+            top: line.offsetTop,
+            height: line.offsetHeight
+        }));
+    }
+    return cache.offsets;
+}
+
+// Index of the last line starting at or above the given scroll offset
+function findSyncAnchorLine(offsets, scrollTop) {
+    let low = 0;
+    let high = offsets.length - 1;
+    let result = -1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (offsets[mid].top <= scrollTop) {
+            result = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return result;
+}
+
+// Scroll the target so the same diff row sits at the top, at the same fraction through that row.
+// Copying raw scrollTop drifts as soon as rows wrap to different heights on each side.
+function mirrorAnchoredScroll(source, sourceCache, target, targetCache) {
+    // Virtualized panels use one fixed row height on both sides, so raw offsets already line up
+    if (findVirtualRows(source)) {
+        target.scrollTop = source.scrollTop;
+        target.scrollLeft = source.scrollLeft;
+        return;
+    }
+
+    const sourceOffsets = getSyncLineOffsets(sourceCache, source);
+    const targetOffsets = getSyncLineOffsets(targetCache, target);
+    const index = findSyncAnchorLine(sourceOffsets, source.scrollTop);
+
+    if (index < 0 || index >= targetOffsets.length) {
+        target.scrollTop = source.scrollTop;
+    } else {
+        const anchor = sourceOffsets[index];
+        const fraction = anchor.height > 0 ? Math.min(1, (source.scrollTop - anchor.top) / anchor.height) : 0;
+        const match = targetOffsets[index];
+        target.scrollTop = match.top + fraction * match.height;
+    }
+
+    target.scrollLeft = source.scrollLeft;
+}
+
 window.configureBidirectionalScrollSync = function(panelAId, panelBId, enabled) {
     window.disposeBidirectionalScrollSync(panelAId, panelBId);
 
@@ -697,6 +1761,8 @@ window.configureBidirectionalScrollSync = function(panelAId, panelBId, enabled)
 
     let syncingFromA = false;
     let syncingFromB = false;
+    const cacheA = { offsets: null };
+    const cacheB = { offsets: null };
 
     const onScrollA = function() {
         if (syncingFromB) {
@@ -704,8 +1770,7 @@ window.configureBidirectionalScrollSync = function(panelAId, panelBId, enabled)
         }
 
         syncingFromA = true;
-        panelB.scrollTop = panelA.scrollTop;
-        panelB.scrollLeft = panelA.scrollLeft;
+        mirrorAnchoredScroll(panelA, cacheA, panelB, cacheB);
 
         requestAnimationFrame(() => {
             syncingFromA = false;
@@ -718,14 +1783,26 @@ window.configureBidirectionalScrollSync = function(panelAId, panelBId, enabled)
         }
 
         syncingFromB = true;
-        panelA.scrollTop = panelB.scrollTop;
-        panelA.scrollLeft = panelB.scrollLeft;
+        mirrorAnchoredScroll(panelB, cacheB, panelA, cacheA);
 
         requestAnimationFrame(() => {
             syncingFromB = false;
         });
     };
 
+    // Line offsets change when wrapping or the panel width changes; measure again on the next scroll
+    const resizeObserver = new ResizeObserver(() => {
+        cacheA.offsets = null;
+        cacheB.offsets = null;
+    });
+    for (const panel of [panelA, panelB]) {
+        resizeObserver.observe(panel);
+        const content = panel.querySelector('.file-content');
+        if (content) {
+            resizeObserver.observe(content);
+        }
+    }
+
     panelA.addEventListener('scroll', onScrollA, { passive: true });
     panelB.addEventListener('scroll', onScrollB, { passive: true });
 
@@ -734,7 +1811,8 @@ window.configureBidirectionalScrollSync = function(panelAId, panelBId, enabled)
         panelA,
         panelB,
         onScrollA,
-        onScrollB
+        onScrollB,
+        resizeObserver
     };
 };
 
@@ -745,6 +1823,7 @@ window.disposeBidirectionalScrollSync = function(panelAId, panelBId) {
         return;
     }
 
+    registration.resizeObserver.disconnect();
     registration.panelA.removeEventListener('scroll', registration.onScrollA);
     registration.panelB.removeEventListener('scroll', registration.onScrollB);
     delete window.__sideBySideScrollSync[key];
@@ -0,0 +1,488 @@
+// Optional canonicalization of XML/JSON files before upload, so raw-text diffs only show real
+// changes rather than formatting noise. XML: attributes sorted, namespace prefixes renamed by
+// first use (prefixes inside QName values such as xsi:type="m:Foo" follow), comments and
+// insignificant whitespace dropped. JSON: keys sorted, numbers written in
+// one form. Output is re-indented so line-based diffs stay readable.
+// Files that do not parse, or that are already canonical, are uploaded unchanged.
+
+const canonicalXmlNamespace = 'http://www.w3.org/XML/1998/namespace';
+const canonicalXmlnsNamespace = 'http://www.w3.org/2000/xmlns/';
+const canonicalXsiNamespace = 'http://www.w3.org/2001/XMLSchema-instance';
+const canonicalQNamePattern = /^(\s*)(?:([A-Za-z_][-\w.]*):)?([A-Za-z_][-\w.]*)(\s*)$/;
+const canonicalIndent = '  ';
+
+function escapeCanonicalXmlText(value) {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\r/g, '&#xD;');
+}
+
+function escapeCanonicalXmlAttribute(value) {
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\t/g, '&#x9;')
+        .replace(/\n/g, '&#xA;')
+        .replace(/\r/g, '&#xD;');
+}
+
+// The namespace a QName value refers to, as { uri, localName, before, after }, or null. A prefixed value
+// counts when its prefix is declared where it appears; an unprefixed one only where a QName is
+// certain (xsi:type), since any single word would match otherwise.
+function resolveCanonicalQName(element, value, unprefixedIsQName) {
+    const match = canonicalQNamePattern.exec(value);
+    if (!match || (!match[2] && !unprefixedIsQName) || match[2] === 'xml' || match[2] === 'xmlns') {
+        return null;
+    }
+
+    const uri = element.lookupNamespaceURI(match[2] || null);
+    return uri ? { uri, localName: match[3], before: match[1], after: match[4] } : null;
+}
+
+// Values that may hold a QName: every attribute, and the text of text-only elements (SOAP faultcode)
+function forEachCanonicalQNameCandidate(element, callback) {
+    for (const attribute of Array.from(element.attributes)) {
+        if (attribute.namespaceURI !== canonicalXmlnsNamespace) {
+            callback(attribute.value, attribute.namespaceURI === canonicalXsiNamespace && attribute.localName === 'type');
+        }
+    }
+    if (element.children.length === 0) {
+        callback(element.textContent, false);
+    }
+}
+
+// Rewrites the prefix of a QName value to the canonical one; other values are returned unchanged.
+// QName namespaces always have a prefix in attributePrefixes, so the value never depends on which
+// default namespace is in scope.
+function canonicalQNameValue(element, value, unprefixedIsQName, attributePrefixes) {
+    const qname = resolveCanonicalQName(element, value, unprefixedIsQName);
+    const prefix = qname && attributePrefixes.get(qname.uri);
+    return prefix ? `${qname.before}${prefix}:${qname.localName}${qname.after}` : value;
+}
+
+// Elements in the root element's namespace stay unprefixed; every other namespace gets ns1, ns2, ...
+// in document order. Attributes cannot use the default namespace, so they always get a prefix, and so
+// do namespaces referenced from QName values.
+function assignCanonicalXmlPrefixes(root) {
+    const elementPrefixes = new Map();
+    const attributePrefixes = new Map();
+    const rootNamespace = root.namespaceURI || null;
+    let next = 1;
+
+    const prefixFor = (uri) => {
+        for (const map of [elementPrefixes, attributePrefixes]) {
+            const prefix = map.get(uri);
+            if (prefix) {
+                return prefix;
+            }
+        }
+        return `ns${next++}`;
+    };
+
+    const visit = (element) => {
+        const uri = element.namespaceURI || null;
+        if (uri && !elementPrefixes.has(uri)) {
+            elementPrefixes.set(uri, uri === rootNamespace ? '' : prefixFor(uri));
+        }
+
+        for (const attribute of Array.from(element.attributes)) {
+            const attributeUri = attribute.namespaceURI;
+            if (!attributeUri || attributeUri === canonicalXmlNamespace || attributeUri === canonicalXmlnsNamespace) {
+                continue;
+            }
+            if (!attributePrefixes.has(attributeUri)) {
+                const elementPrefix = elementPrefixes.get(attributeUri);
+                attributePrefixes.set(attributeUri, elementPrefix || prefixFor(attributeUri));
+            }
+        }
+
+        forEachCanonicalQNameCandidate(element, (value, unprefixedIsQName) => {
+            const qname = resolveCanonicalQName(element, value, unprefixedIsQName);
+            if (qname && !attributePrefixes.has(qname.uri)) {
+                attributePrefixes.set(qname.uri, elementPrefixes.get(qname.uri) || prefixFor(qname.uri));
+            }
+        });
+
+        for (const child of element.children) {
+            visit(child);
+        }
+    };
+
+    visit(root);
+    return { elementPrefixes, attributePrefixes };
+}
+
+function canonicalXmlName(node, prefixes) {
+    const uri = node.namespaceURI || null;
+    if (uri === canonicalXmlNamespace) {
+        return `xml:${node.localName}`;
+    }
+    const prefix = uri ? prefixes.get(uri) : '';
+    return prefix ? `${prefix}:${node.localName}` : node.localName;
+}
+
+// Unprefixed elements take the default namespace in scope, so an element whose namespace differs from
+// it (a no-namespace child of a root with xmlns="urn:a", or the reverse) declares its own.
+// Returns { declaration, defaultNamespace } with the default namespace in scope for its children.
+function canonicalDefaultNamespace(element, elementPrefixes, inheritedDefault) {
+    const uri = element.namespaceURI || null;
+    if ((uri && elementPrefixes.get(uri)) || uri === inheritedDefault) {
+        return { declaration: '', defaultNamespace: inheritedDefault };
+    }
+    return { declaration: ` xmlns="${escapeCanonicalXmlAttribute(uri || '')}"`, defaultNamespace: uri };
+}
+
+// Attributes sorted by namespace and local name, namespace declarations left out
+function canonicalXmlAttributes(element, attributePrefixes) {
+    return Array.from(element.attributes)
+        .filter(a => a.namespaceURI !== canonicalXmlnsNamespace)
+        .map(a => ({
+            name: canonicalXmlName(a, attributePrefixes),
+            sortKey: `${a.namespaceURI || ''}\u0000${a.localName}`,
+            value: canonicalQNameValue(
+                element,
+                a.value,
+                a.namespaceURI === canonicalXsiNamespace && a.localName === 'type',
+                attributePrefixes)
+        }))
+        .sort((a, b) => (a.sortKey < b.sortKey ? -1 : a.sortKey > b.sortKey ? 1 : 0))
+        .map(a => ` ${a.name}="${escapeCanonicalXmlAttribute(a.value)}"`)
+        .join('');
+}
+
+// Returns the canonical text, or null when the document cannot be canonicalized safely
+function canonicalizeXmlText(text) {
+    const document = new DOMParser().parseFromString(text, 'application/xml');
+    if (document.getElementsByTagName('parsererror').length > 0 || document.doctype) {
+        return null;
+    }
+
+    const root = document.documentElement;
+    const { elementPrefixes, attributePrefixes } = assignCanonicalXmlPrefixes(root);
+    const lines = ['<?xml version="1.0" encoding="utf-8"?>'];
+
+    // Declarations all go on the root, ordered by prefix
+    const declarations = [];
+    for (const [uri, prefix] of elementPrefixes) {
+        declarations.push({ name: prefix ? `xmlns:${prefix}` : 'xmlns', uri });
+    }
+    for (const [uri, prefix] of attributePrefixes) {
+        if (!declarations.some(d => d.name === `xmlns:${prefix}`)) {
+            declarations.push({ name: `xmlns:${prefix}`, uri });
+        }
+    }
+    declarations.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    const rootDeclarations = declarations.map(d => ` ${d.name}="${escapeCanonicalXmlAttribute(d.uri)}"`).join('');
+
+    const writeElement = (element, depth, preserveSpace, inheritedDefault, isRoot) => {
+        const indent = canonicalIndent.repeat(depth);
+        const name = canonicalXmlName(element, elementPrefixes);
+        const space = element.getAttributeNS(canonicalXmlNamespace, 'space');
+        const preserve = space === 'preserve' || (space !== 'default' && preserveSpace);
+        const { declaration, defaultNamespace } = isRoot
+            ? { declaration: rootDeclarations, defaultNamespace: root.namespaceURI || null }
+            : canonicalDefaultNamespace(element, elementPrefixes, inheritedDefault);
+        const open = `<${name}${declaration}${canonicalXmlAttributes(element, attributePrefixes)}`;
+
+        const children = Array.from(element.childNodes).filter(child =>
+            child.nodeType === Node.ELEMENT_NODE ||
+            child.nodeType === Node.PROCESSING_INSTRUCTION_NODE ||
+            child.nodeType === Node.TEXT_NODE ||
+            child.nodeType === Node.CDATA_SECTION_NODE);
+        const hasElements = children.some(child => child.nodeType === Node.ELEMENT_NODE);
+        const isText = (child) => child.nodeType === Node.TEXT_NODE || child.nodeType === Node.CDATA_SECTION_NODE;
+        const textContent = children.filter(isText).map(child => child.nodeValue).join('');
+
+        if (!hasElements && children.every(isText)) {
+            // Text-only (or empty) element on one line. Whitespace-only text is kept: it is a value here.
+            const value = canonicalQNameValue(element, textContent, false, attributePrefixes);
+            lines.push(value.length === 0
+                ? `${indent}${open}/>`
+                : `${indent}${open}>${escapeCanonicalXmlText(value)}</${name}>`);
+            return;
+        }
+
+        if (preserve || children.some(child => isText(child) && child.nodeValue.trim() !== '')) {
+            // Mixed content: whitespace is significant, so the element is written without re-indenting
+            lines.push(`${indent}${open}>${serializeCanonicalXmlInline(element, elementPrefixes, attributePrefixes, defaultNamespace)}</${name}>`);
+            return;
+        }
+
+        lines.push(`${indent}${open}>`);
+        for (const child of children) {
+            if (child.nodeType === Node.ELEMENT_NODE) {
+                writeElement(child, depth + 1, preserve, defaultNamespace, false);
+            } else if (child.nodeType === Node.PROCESSING_INSTRUCTION_NODE) {
+                lines.push(`${indent}${canonicalIndent}<?${child.target} ${child.data}?>`);
+            }
+        }
+        lines.push(`${indent}</${name}>`);
+    };
+
+    for (const node of Array.from(document.childNodes)) {
+        if (node.nodeType === Node.PROCESSING_INSTRUCTION_NODE) {
+            lines.push(`<?${node.target} ${node.data}?>`);
+        } else if (node === root) {
+            writeElement(root, 0, false, null, true);
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+// Content of a mixed-content element on a single line, comments dropped and nothing re-indented
+function serializeCanonicalXmlInline(element, elementPrefixes, attributePrefixes, inheritedDefault) {
+    const parts = [];
+    for (const child of Array.from(element.childNodes)) {
+        if (child.nodeType === Node.TEXT_NODE || child.nodeType === Node.CDATA_SECTION_NODE) {
+            parts.push(escapeCanonicalXmlText(child.nodeValue));
+        } else if (child.nodeType === Node.PROCESSING_INSTRUCTION_NODE) {
+            parts.push(`<?${child.target} ${child.data}?>`);
+        } else if (child.nodeType === Node.ELEMENT_NODE) {
+            const name = canonicalXmlName(child, elementPrefixes);
+            const { declaration, defaultNamespace } = canonicalDefaultNamespace(child, elementPrefixes, inheritedDefault);
+            const attributes = declaration + canonicalXmlAttributes(child, attributePrefixes);
+            const inner = serializeCanonicalXmlInline(child, elementPrefixes, attributePrefixes, defaultNamespace);
+            parts.push(inner.length === 0 ? `<${name}${attributes}/>` : `<${name}${attributes}>${inner}</${name}>`);
+        }
+    }
+    return parts.join('');
+}
+
+// --- JSON ----------------------------------------------------------------------------------------
+
+// Numbers are rewritten from their digits, never through a double, so large or precise values
+// keep every digit: 1.50 -> 1.5, 1E3 -> 1000, 0.000001 -> 0.000001, 1e-7 -> 1e-7, -0 -> 0.
+// Plain integers are already canonical and are left alone, however long.
+function canonicalizeJsonNumber(lexeme) {
+    if (/^-?\d+$/.test(lexeme)) {
+        return lexeme === '-0' ? '0' : lexeme;
+    }
+
+    const match = /^(-?)(\d+)(?:\.(\d+))?(?:[eE]([+-]?\d+))?$/.exec(lexeme);
+    if (!match) {
+        return lexeme;
+    }
+
+    const negative = match[1] === '-';
+    let digits = match[2] + (match[3] || '');
+    let pointIndex = match[2].length + parseInt(match[4] || '0', 10);
+
+    const leadingZeros = digits.match(/^0*/)[0].length;
+    if (leadingZeros === digits.length) {
+        return '0';
+    }
+    digits = digits.slice(leadingZeros);
+    pointIndex -= leadingZeros;
+    digits = digits.replace(/0+$/, '');
+
+    // Plain notation in the same range as JavaScript's own number formatting, exponent otherwise
+    let text;
+    if (pointIndex > 21 || pointIndex < -5) {
+        const exponent = pointIndex - 1;
+        text = (digits.length > 1 ? `${digits[0]}.${digits.slice(1)}` : digits) + `e${exponent < 0 ? '-' : '+'}${Math.abs(exponent)}`;
+    } else if (pointIndex <= 0) {
+        text = `0.${'0'.repeat(-pointIndex)}${digits}`;
+    } else if (pointIndex >= digits.length) {
+        text = digits + '0'.repeat(pointIndex - digits.length);
+    } else {
+        text = `${digits.slice(0, pointIndex)}.${digits.slice(pointIndex)}`;
+    }
+
+    return negative ? `-${text}` : text;
+}
+
+// Small JSON reader that keeps number lexemes and duplicate keys, which JSON.parse would lose.
+// Values: { type: 'object', members: [[key, value]] }, { type: 'array', items }, { type: 'literal', text }.
+function parseCanonicalJson(text) {
+    let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+
+    const fail = () => {
+        throw new SyntaxError(`Unexpected token at position ${i}`);
+    };
+    const skipWhitespace = () => {
+        while (i < text.length && (text[i] === ' ' || text[i] === '\t' || text[i] === '\n' || text[i] === '\r')) {
+            i++;
+        }
+    };
+    const readString = () => {
+        const start = i;
+        i++;
+        while (i < text.length && text[i] !== '"') {
+            i += text[i] === '\\' ? 2 : 1;
+        }
+        if (i >= text.length) {
+            fail();
+        }
+        i++;
+        return JSON.parse(text.slice(start, i));
+    };
+
+    const readValue = () => {
+        skipWhitespace();
+        const c = text[i];
+        if (c === '{') {
+            i++;
+            const members = [];
+            skipWhitespace();
+            if (text[i] === '}') {
+                i++;
+                return { type: 'object', members };
+            }
+            for (;;) {
+                skipWhitespace();
+                if (text[i] !== '"') {
+                    fail();
+                }
+                const key = readString();
+                skipWhitespace();
+                if (text[i++] !== ':') {
+                    fail();
+                }
+                members.push([key, readValue()]);
+                skipWhitespace();
+                if (text[i] === ',') {
+                    i++;
+                } else if (text[i] === '}') {
+                    i++;
+                    return { type: 'object', members };
+                } else {
+                    fail();
+                }
+            }
+        }
+        if (c === '[') {
+            i++;
+            const items = [];
+            skipWhitespace();
+            if (text[i] === ']') {
+                i++;
+                return { type: 'array', items };
+            }
+            for (;;) {
+                items.push(readValue());
+                skipWhitespace();
+                if (text[i] === ',') {
+                    i++;
+                } else if (text[i] === ']') {
+                    i++;
+                    return { type: 'array', items };
+                } else {
+                    fail();
+                }
+            }
+        }
+        if (c === '"') {
+            return { type: 'literal', text: JSON.stringify(readString()) };
+        }
+
+        const literal = /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(text.slice(i, i + 400));
+        if (!literal) {
+            fail();
+        }
+        i += literal[0].length;
+        const isNumber = literal[0] !== 'true' && literal[0] !== 'false' && literal[0] !== 'null';
+        return { type: 'literal', text: isNumber ? canonicalizeJsonNumber(literal[0]) : literal[0] };
+    };
+
+    const value = readValue();
+    skipWhitespace();
+    if (i < text.length) {
+        fail();
+    }
+    return value;
+}
+
+function writeCanonicalJson(value, depth, out) {
+    if (value.type === 'literal') {
+        out.push(value.text);
+        return;
+    }
+
+    const entries = value.type === 'object'
+        ? value.members.slice().sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+        : value.items;
+    const [open, close] = value.type === 'object' ? ['{', '}'] : ['[', ']'];
+    if (entries.length === 0) {
+        out.push(open + close);
+        return;
+    }
+
+    const indent = canonicalIndent.repeat(depth + 1);
+    out.push(open, '\n');
+    entries.forEach((entry, index) => {
+        out.push(indent);
+        if (value.type === 'object') {
+            out.push(JSON.stringify(entry[0]), ': ');
+            writeCanonicalJson(entry[1], depth + 1, out);
+        } else {
+            writeCanonicalJson(entry, depth + 1, out);
+        }
+        out.push(index < entries.length - 1 ? ',\n' : '\n');
+    });
+    out.push(canonicalIndent.repeat(depth), close);
+}
+
+function canonicalizeJsonText(text) {
+    let value;
+    try {
+        value = parseCanonicalJson(text);
+    } catch {
+        return null;
+    }
+
+    const out = [];
+    writeCanonicalJson(value, 0, out);
+    out.push('\n');
+    return out.join('');
+}
+
+// --- Upload files --------------------------------------------------------------------------------
+
+/**
+ * Canonicalize the XML/JSON files of an upload. Returns { files, canonicalized }: files in the same
+ * order with canonicalized ones replaced by new File objects (same upload path, original kept through
+ * setCanonicalizedUploadOriginal), and the paths of the files that changed.
+ */
+async function canonicalizeUploadFiles(files, onProgress) {
+    const result = [];
+    const canonicalized = [];
+
+    for (let index = 0; index < files.length; index++) {
+        const file = files[index];
+        const name = file.name.toLowerCase();
+        let canonical = null;
+
+        try {
+            const text = await file.text();
+            canonical = name.endsWith('.xml') ? canonicalizeXmlText(text)
+                : name.endsWith('.json') ? canonicalizeJsonText(text)
+                : null;
+            if (canonical === text) {
+                canonical = null;
+            }
+        } catch (e) {
+            console.warn('Canonicalization failed, uploading original:', getUploadRelativePath(file), e);
+        }
+
+        if (canonical === null) {
+            result.push(file);
+        } else {
+            const path = getUploadRelativePath(file);
+            const replacement = new File([canonical], file.name, { type: file.type, lastModified: file.lastModified });
+            setUploadRelativePath(replacement, path);
+            setCanonicalizedUploadOriginal(replacement, file);
+            result.push(replacement);
+            canonicalized.push(path);
+        }
+
+        if (onProgress) onProgress(index + 1, files.length);
+
+        // Parsing is synchronous; yield now and then so the page keeps painting progress
+        if (index % 20 === 19) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    }
+
+    return { files: result, canonicalized };
+}
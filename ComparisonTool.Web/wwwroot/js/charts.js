@@ -0,0 +1,125 @@
+// Chart.js interop. Charts are registered by canvas element ID so components can create, update
+// and destroy them across renders without leaking Chart instances.
+
+window.__charts = window.__charts || {};
+
+const chartPalette = [
+    '#4e73df', '#1cc88a', '#36b9cc', '#f6c23e', '#e74a3b',
+    '#fd7e14', '#6f42c1', '#20c9a6', '#27a844', '#e83e8c'
+];
+
+function generateColors(count) {
+    const colors = [];
+    for (let i = 0; i < count; i++) {
+        colors.push(chartPalette[i % chartPalette.length]);
+    }
+    return colors;
+}
+
+/**
+ * Translate the interop config into a Chart.js config.
+ * config: { type: 'pie' | 'bar' | 'stackedBar', labels: [], datasets: [{ label, data: [] }],
+ *           horizontal: bool, showLegend: bool }
+ */
+function buildChartConfig(config) {
+    const isPie = config.type === 'pie';
+    const isStacked = config.type === 'stackedBar';
+    const datasets = (config.datasets || []).map((dataset, index) => ({
+        label: dataset.label,
+        data: dataset.data,
+        // Pie slices and single-series bars get a colour per label; stacked series get one colour each
+        backgroundColor: isStacked ? chartPalette[index % chartPalette.length] : generateColors(dataset.data.length),
+        borderWidth: 1
+    }));
+
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+            legend: {
+                display: config.showLegend ?? (isPie || isStacked),
+                position: isPie ? 'right' : 'top'
+            }
+        }
+    };
+
+    if (!isPie) {
+        options.indexAxis = config.horizontal ? 'y' : 'x';
+        options.scales = {
+            x: { stacked: isStacked, ticks: { precision: 0 } },
+            y: { stacked: isStacked, ticks: { precision: 0 } }
+        };
+    }
+
+    return {
+        type: isPie ? 'pie' : 'bar',
+        data: { labels: config.labels || [], datasets },
+        options
+    };
+}
+
+/**
+ * Create (or recreate) a chart on a canvas. When dotNetRef is given, clicking a segment calls
+ * OnChartSegmentClicked(elementId, labelIndex, datasetIndex) so the component can filter.
+ */
+window.createChart = function (elementId, config, dotNetRef) {
+    if (typeof Chart === 'undefined') {
+        console.warn('Chart.js is not loaded; chart skipped:', elementId);
+        return false;
+    }
+
+    window.destroyChart(elementId);
+
+    const canvas = document.getElementById(elementId);
+    if (!canvas) {
+        return false;
+    }
+
+    const chartConfig = buildChartConfig(config);
+    if (dotNetRef) {
+        chartConfig.options.onClick = (event, elements) => {
+            if (elements.length === 0) {
+                return;
+            }
+
+            const element = elements[0];
+            dotNetRef.invokeMethodAsync('OnChartSegmentClicked', elementId, element.index, element.datasetIndex)
+                .catch(e => console.warn('Chart click callback failed:', e));
+        };
+        chartConfig.options.onHover = (event, elements) => {
+            event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+        };
+    }
+
+    window.__charts[elementId] = new Chart(canvas.getContext('2d'), chartConfig);
+    return true;
+};
+
+// Replace the data of an existing chart in place; creates it if it doesn't exist yet
+window.updateChart = function (elementId, config, dotNetRef) {
+    const chart = window.__charts[elementId];
+    if (!chart) {
+        return window.createChart(elementId, config, dotNetRef);
+    }
+
+    const next = buildChartConfig(config);
+    if (chart.config.type !== next.type) {
+        return window.createChart(elementId, config, dotNetRef);
+    }
+
+    chart.data.labels = next.data.labels;
+    chart.data.datasets = next.data.datasets;
+    chart.options.indexAxis = next.options.indexAxis;
+    chart.options.scales = next.options.scales;
+    chart.options.plugins.legend = next.options.plugins.legend;
+    chart.update();
+    return true;
+};
+
+window.destroyChart = function (elementId) {
+    const chart = window.__charts[elementId];
+    if (chart) {
+        chart.destroy();
+        delete window.__charts[elementId];
+    }
+};
@@ -0,0 +1,401 @@
+// Context menu on rendered differences (DetailedDifferencesView rows, SideBySideFileView lines) that
+// copies the property path, an XPath-style path or the Expected/Actual values. Every copy also carries
+// the whole difference as structured JSON, which "Paste as rule" in the rule panels reads back.
+// Table rows describe their difference with data-diff-path/-expected/-actual on one element; for
+// side-by-side lines the path is worked out from the XML element or JSON key nesting above the line.
+
+window.__diffClipboard = window.__diffClipboard || {};
+
+// Marks a clipboard payload as a difference copied from this tool
+const diffClipboardFormat = 'comparison-tool/difference';
+
+// Custom clipboard format for the payload, where the browser supports web custom formats
+const diffClipboardMimeType = 'web application/x-comparison-difference+json';
+
+let diffClipboardMenu = null;
+
+// "Orders[2].Lines[0].Price" -> "/Orders[3]/Lines[1]/Price" (XPath positions start at 1)
+function toDiffXPath(propertyPath) {
+    return propertyPath
+        .split('.')
+        .filter(Boolean)
+        .map(segment => segment
+            .replace(/\[\*\]/g, '')
+            .replace(/\[(\d+)\]/g, (_, index) => `[${Number(index) + 1}]`))
+        .map(segment => `/${segment}`)
+        .join('');
+}
+
+// The path with collection indexes replaced by [*], as ignore and mask rules are written
+function normalizeDiffPath(propertyPath) {
+    return propertyPath.replace(/\[\d+\]/g, '[*]');
+}
+
+function createDiffClipboardPayload(propertyPath, xpath, expected, actual) {
+    const segments = propertyPath.split('.').filter(Boolean);
+    return {
+        format: diffClipboardFormat,
+        propertyPath,
+        normalizedPath: normalizeDiffPath(propertyPath),
+        propertyName: segments.length > 0 ? segments[segments.length - 1].replace(/\[[^\]]*\]/g, '') : '',
+        xpath: xpath || toDiffXPath(propertyPath),
+        expected: expected ?? null,
+        actual: actual ?? null
+    };
+}
+
+// Write text, plus the payload in the custom format where supported
+async function writeDiffClipboard(text, payload) {
+    const canWriteCustom = typeof ClipboardItem !== 'undefined' &&
+        typeof ClipboardItem.supports === 'function' && ClipboardItem.supports(diffClipboardMimeType);
+
+    if (canWriteCustom) {
+        await navigator.clipboard.write([new ClipboardItem({
+            'text/plain': new Blob([text], { type: 'text/plain' }),
+            [diffClipboardMimeType]: new Blob([JSON.stringify(payload)], { type: 'application/json' })
+        })]);
+        return;
+    }
+
+    await navigator.clipboard.writeText(text);
+}
+
+function parseDiffClipboardText(text) {
+    try {
+        const parsed = JSON.parse(text);
+        if (parsed && parsed.format === diffClipboardFormat && parsed.propertyPath) {
+            return parsed;
+        }
+    } catch {
+        // Not JSON - maybe a bare path
+    }
+
+    // A property path copied as plain text, e.g. from the path item or typed elsewhere
+    const path = text.trim();
+    return /^[\w.\[\]*:-]+$/.test(path) && path.length <= 1000
+        ? createDiffClipboardPayload(path, null, null, null)
+        : null;
+}
+
+/**
+ * Read a copied difference back. Returns JSON: the payload
+ * ({ format, propertyPath, normalizedPath, propertyName, xpath, expected, actual }), or { error }.
+ */
+window.readDiffClipboardPayload = async function () {
+    try {
+        if (typeof navigator.clipboard.read === 'function') {
+            try {
+                for (const item of await navigator.clipboard.read()) {
+                    if (item.types.includes(diffClipboardMimeType)) {
+                        const payload = parseDiffClipboardText(await (await item.getType(diffClipboardMimeType)).text());
+                        if (payload) {
+                            return JSON.stringify(payload);
+                        }
+                    }
+                }
+            } catch {
+                // Firefox and older browsers only allow readText
+            }
+        }
+
+        const payload = parseDiffClipboardText(await navigator.clipboard.readText());
+        return JSON.stringify(payload || { error: 'The clipboard does not hold a copied difference or property path.' });
+    } catch (e) {
+        return JSON.stringify({ error: `Could not read the clipboard: ${e.message}` });
+    }
+};
+
+// Element/key path above a line of an XML or JSON document: { propertyPath, xpath }
+function getDiffLinePath(texts, index) {
+    const firstLine = texts.find(t => t.trim().length > 0) || '';
+    return firstLine.trim().startsWith('<')
+        ? getXmlLinePath(texts, index)
+        : getJsonLinePath(texts, index);
+}
+
+function getXmlLinePath(texts, index) {
+    // Each open element remembers how many children of each name it has seen, for XPath positions
+    const root = { name: null, position: 1, children: new Map() };
+    const stack = [root];
+    const tagPattern = /<(\/?)([A-Za-z_][\w.:-]*)[^>]*?(\/?)>/g;
+
+    const openElement = (name) => {
+        const parent = stack[stack.length - 1];
+        const position = (parent.children.get(name) || 0) + 1;
+        parent.children.set(name, position);
+        return { name, position, children: new Map() };
+    };
+
+    for (let i = 0; i <= index && i < texts.length; i++) {
+        tagPattern.lastIndex = 0;
+        let match;
+        while ((match = tagPattern.exec(texts[i])) !== null) {
+            const [, closing, name, selfClosing] = match;
+            if (closing) {
+                if (i === index) break;
+                if (stack.length > 1) stack.pop();
+            } else {
+                const element = openElement(name);
+                if (i === index) {
+                    // The first element opened on the clicked line is the one it is about
+                    stack.push(element);
+                    break;
+                }
+                if (!selfClosing) stack.push(element);
+            }
+        }
+    }
+
+    const elements = stack.slice(1);
+    const localName = (name) => name.includes(':') ? name.split(':').pop() : name;
+    return {
+        propertyPath: elements
+            .map(e => localName(e.name) + (e.position > 1 ? `[${e.position - 1}]` : ''))
+            .join('.'),
+        xpath: elements
+            .map(e => `/${e.name}` + (e.position > 1 ? `[${e.position}]` : ''))
+            .join('')
+    };
+}
+
+// Pretty-printed JSON only: one key or array item per line, as the side-by-side view shows it
+function getJsonLinePath(texts, index) {
+    const stack = [{ type: 'root', segment: null, index: -1 }];
+    const keyPattern = /^"((?:[^"\\]|\\.)*)"\s*:\s*(.*)$/;
+    const opensContainer = (rest) => /^[{[]\s*$/.test(rest.replace(/,$/, ''));
+
+    let target = null;
+    for (let i = 0; i <= index && i < texts.length; i++) {
+        const line = texts[i].trim();
+        if (!line) continue;
+
+        const parent = stack[stack.length - 1];
+        if (/^[}\]]/.test(line)) {
+            if (i === index) {
+                target = null;
+                break;
+            }
+            if (stack.length > 1) stack.pop();
+            continue;
+        }
+
+        const keyMatch = keyPattern.exec(line);
+        const segment = keyMatch ? keyMatch[1] : parent.type === 'array' ? `[${++parent.index}]` : null;
+        const rest = keyMatch ? keyMatch[2] : line;
+
+        if (i === index) {
+            target = segment;
+            break;
+        }
+        if (opensContainer(rest)) {
+            stack.push({ type: rest.startsWith('[') ? 'array' : 'object', segment, index: -1 });
+        }
+    }
+
+    const segments = stack.map(s => s.segment).filter(s => s !== null);
+    if (target !== null) segments.push(target);
+
+    return {
+        propertyPath: segments.reduce((path, s) => s.startsWith('[') || !path ? path + s : `${path}.${s}`, ''),
+        xpath: segments.reduce((path, s) => s.startsWith('[')
+            ? path + `[${Number(s.slice(1, -1)) + 1}]`
+            : `${path}/${s}`, '')
+    };
+}
+
+// The value on a line: an XML leaf's text, a JSON scalar, or else the trimmed line
+function getDiffLineValue(text) {
+    const line = (text || '').trim();
+    const xmlLeaf = /^<([\w.:-]+)[^>]*>([^<]*)<\/\1>$/.exec(line);
+    if (xmlLeaf) {
+        return xmlLeaf[2];
+    }
+
+    const jsonValue = /^(?:"(?:[^"\\]|\\.)*"\s*:\s*)?(.*?),?$/.exec(line);
+    if (jsonValue && !/^[{[]/.test(jsonValue[1])) {
+        try {
+            const value = JSON.parse(jsonValue[1]);
+            return value === null ? 'null' : String(value);
+        } catch {
+            // Not a JSON scalar
+        }
+    }
+
+    return line;
+}
+
+// The difference under a right-clicked element, or null
+async function findClipboardDifference(registration, target) {
+    const described = target.closest('[data-diff-path]') ||
+        (target.closest('tr') && target.closest('tr').querySelector('[data-diff-path]'));
+    if (described && registration.container.contains(described)) {
+        return createDiffClipboardPayload(
+            described.dataset.diffPath,
+            null,
+            described.dataset.diffExpected,
+            described.dataset.diffActual);
+    }
+
+    if (!registration.panelAId) {
+        return null;
+    }
+
+    const line = target.closest('.file-line');
+    const panelA = document.getElementById(registration.panelAId);
+    const panelB = document.getElementById(registration.panelBId);
+    if (!line || !panelA || !panelB) {
+        return null;
+    }
+
+    const panel = panelA.contains(line) ? panelA : panelB;
+    const virtual = findVirtualRows(panel);
+    const index = virtual
+        ? virtual.rendered.start + Array.prototype.indexOf.call(virtual.window.children, line)
+        : Array.prototype.indexOf.call(panel.querySelectorAll('.file-line'), line);
+    if (index < 0) {
+        return null;
+    }
+
+    const rows = await readDiffSearchRows(panelA, panelB);
+    const texts = panel === panelA ? rows.textsA : rows.textsB;
+    const { propertyPath, xpath } = getDiffLinePath(texts, index);
+    if (!propertyPath) {
+        return null;
+    }
+
+    return createDiffClipboardPayload(propertyPath, xpath,
+        getDiffLineValue(rows.textsA[index]),
+        getDiffLineValue(rows.textsB[index]));
+}
+
+function closeDiffClipboardMenu() {
+    if (diffClipboardMenu) {
+        diffClipboardMenu.remove();
+        diffClipboardMenu = null;
+        document.removeEventListener('mousedown', onDiffClipboardOutsideClick, true);
+        document.removeEventListener('keydown', onDiffClipboardKeyDown, true);
+        window.removeEventListener('scroll', closeDiffClipboardMenu, true);
+    }
+}
+
+function onDiffClipboardOutsideClick(e) {
+    if (diffClipboardMenu && !diffClipboardMenu.contains(e.target)) {
+        closeDiffClipboardMenu();
+    }
+}
+
+function onDiffClipboardKeyDown(e) {
+    if (e.key === 'Escape') {
+        closeDiffClipboardMenu();
+    }
+}
+
+function showDiffClipboardMenu(x, y, payload) {
+    closeDiffClipboardMenu();
+
+    const items = [
+        { label: 'Copy property path', text: payload.propertyPath },
+        { label: 'Copy XPath', text: payload.xpath },
+        { label: 'Copy Expected value', text: payload.expected, disabled: payload.expected === null },
+        { label: 'Copy Actual value', text: payload.actual, disabled: payload.actual === null },
+        { label: 'Copy as JSON (for Paste as rule)', text: JSON.stringify(payload, null, 2) }
+    ];
+
+    const menu = document.createElement('div');
+    menu.className = 'diff-clipboard-menu';
+    menu.setAttribute('role', 'menu');
+    menu.style.cssText = 'position:fixed;z-index:2000;min-width:220px;padding:4px 0;border-radius:4px;' +
+        'background:var(--mud-palette-surface,#fff);color:var(--mud-palette-text-primary,#000);' +
+        'box-shadow:0 4px 12px rgba(0,0,0,0.25);font-size:0.875rem;';
+
+    const title = document.createElement('div');
+    title.textContent = payload.propertyPath;
+    title.style.cssText = 'padding:4px 12px 6px;font-family:Consolas,Monaco,monospace;font-size:0.75rem;' +
+        'color:var(--mud-palette-text-secondary,#666);max-width:360px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;';
+    menu.appendChild(title);
+
+    for (const item of items) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = item.label;
+        button.disabled = !!item.disabled;
+        button.setAttribute('role', 'menuitem');
+        button.style.cssText = 'display:block;width:100%;padding:6px 12px;border:0;background:none;color:inherit;' +
+            'text-align:left;font:inherit;cursor:pointer;' + (item.disabled ? 'opacity:0.5;cursor:default;' : '');
+        button.onmouseenter = () => { if (!button.disabled) button.style.background = 'var(--mud-palette-action-default-hover,#eee)'; };
+        button.onmouseleave = () => { button.style.background = 'none'; };
+        button.onclick = async () => {
+            closeDiffClipboardMenu();
+            try {
+                await writeDiffClipboard(item.text, payload);
+            } catch (e) {
+                console.warn('Could not copy to the clipboard:', e);
+            }
+        };
+        menu.appendChild(button);
+    }
+
+    document.body.appendChild(menu);
+
+    // Keep the menu inside the window
+    const rect = menu.getBoundingClientRect();
+    menu.style.left = `${Math.max(0, Math.min(x, window.innerWidth - rect.width - 4))}px`;
+    menu.style.top = `${Math.max(0, Math.min(y, window.innerHeight - rect.height - 4))}px`;
+
+    diffClipboardMenu = menu;
+    document.addEventListener('mousedown', onDiffClipboardOutsideClick, true);
+    document.addEventListener('keydown', onDiffClipboardKeyDown, true);
+    window.addEventListener('scroll', closeDiffClipboardMenu, true);
+}
+
+/**
+ * Offer the copy menu on right-click inside containerId. Without options, elements carrying
+ * data-diff-path describe the differences; options { panelAId, panelBId } also handles the
+ * side-by-side panels' lines. The browser's own menu stays available with Shift+right-click.
+ */
+window.configureDiffClipboard = function (containerId, options) {
+    window.disposeDiffClipboard(containerId);
+
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const registration = {
+        container,
+        panelAId: options && options.panelAId,
+        panelBId: options && options.panelBId,
+        onContextMenu: null
+    };
+
+    registration.onContextMenu = (e) => {
+        if (e.shiftKey || (window.getSelection && String(window.getSelection()).length > 0)) {
+            // Leave the browser menu for copying a text selection
+            return;
+        }
+
+        // Decide synchronously whether the menu is ours; side-by-side lines are resolved afterwards
+        const isDifference = e.target.closest('[data-diff-path]') ||
+            (e.target.closest('tr') && e.target.closest('tr').querySelector('[data-diff-path]')) ||
+            (registration.panelAId && e.target.closest('.file-line'));
+        if (!isDifference) return;
+
+        e.preventDefault();
+        const { clientX, clientY, target } = e;
+        findClipboardDifference(registration, target).then(payload => {
+            if (payload) {
+                showDiffClipboardMenu(clientX, clientY, payload);
+            }
+        }).catch(err => console.warn('Could not work out the difference under the pointer:', err));
+    };
+
+    container.addEventListener('contextmenu', registration.onContextMenu);
+    window.__diffClipboard[containerId] = registration;
+};
+
+window.disposeDiffClipboard = function (containerId) {
+    const registration = window.__diffClipboard[containerId];
+    if (!registration) return;
+
+    registration.container.removeEventListener('contextmenu', registration.onContextMenu);
+    delete window.__diffClipboard[containerId];
+    closeDiffClipboardMenu();
+};
@@ -0,0 +1,188 @@
+// Change-to-change navigation for SideBySideFileView. A hunk is a run of consecutive changed lines
+// (deleted, inserted or modified, read from the same line classes as the overview ruler).
+// Next/previous scroll both panels to the hunk, highlight it and report the position to .NET.
+
+window.__diffNavigation = window.__diffNavigation || {};
+
+function collectDiffHunks(panelA, panelB) {
+    // Virtualized panels only hold the rows in view; build hunks from their change ranges instead
+    const virtualA = findVirtualRows(panelA);
+    if (virtualA) {
+        const hunks = [];
+        for (const range of virtualA.ranges) {
+            const last = hunks[hunks.length - 1];
+            if (last && last.end === range.start - 1) {
+                last.end = range.end;
+            } else {
+                hunks.push({ start: range.start, end: range.end });
+            }
+        }
+        return { hunks, virtualA, virtualB: findVirtualRows(panelB) };
+    }
+
+    const linesA = panelA.querySelectorAll('.file-line');
+    const linesB = panelB.querySelectorAll('.file-line');
+    const count = Math.max(linesA.length, linesB.length);
+    const hunks = [];
+    let current = null;
+
+    for (let i = 0; i < count; i++) {
+        if (!getDiffOverviewLineType(linesA[i], linesB[i])) {
+            current = null;
+            continue;
+        }
+
+        if (current) {
+            current.end = i;
+        } else {
+            current = { start: i, end: i };
+            hunks.push(current);
+        }
+    }
+
+    return { hunks, linesA, linesB };
+}
+
+// Offset of row i within a panel's scrollable content
+function getDiffRowTop(registration, side, index) {
+    const virtualRows = side === 'A' ? registration.virtualA : registration.virtualB;
+    if (virtualRows) {
+        return getVirtualRowTop(virtualRows, index);
+    }
+
+    const lines = side === 'A' ? registration.linesA : registration.linesB;
+    const line = lines[index] || (side === 'A' ? registration.linesB : registration.linesA)[index];
+    return line ? line.offsetTop : 0;
+}
+
+function setDiffHunkHighlight(registration, hunk, enabled) {
+    if (!hunk) {
+        return;
+    }
+
+    if (registration.virtualA) {
+        for (const virtualRows of [registration.virtualA, registration.virtualB]) {
+            if (virtualRows) {
+                setVirtualRowsMark(virtualRows, enabled ? hunk.start : null, hunk.end, 'diff-hunk-current');
+            }
+        }
+        return;
+    }
+
+    for (const lines of [registration.linesA, registration.linesB]) {
+        for (let i = hunk.start; i <= hunk.end && i < lines.length; i++) {
+            lines[i].classList.toggle('diff-hunk-current', enabled);
+        }
+    }
+}
+
+// Scroll a panel so the given row sits a quarter of the way down, leaving context above it
+function scrollPanelToRow(registration, side, index) {
+    const panel = side === 'A' ? registration.panelA : registration.panelB;
+    panel.scrollTop = Math.max(0, getDiffRowTop(registration, side, index) - panel.clientHeight / 4);
+}
+
+function selectDiffHunk(registration, index) {
+    const { hunks } = registration;
+    if (index < 0 || index >= hunks.length) {
+        return;
+    }
+
+    setDiffHunkHighlight(registration, hunks[registration.current], false);
+    registration.current = index;
+    const hunk = hunks[index];
+    setDiffHunkHighlight(registration, hunk, true);
+
+    // Each panel is scrolled to its own copy of the row, so wrapped lines cannot skew the alignment
+    scrollPanelToRow(registration, 'A', hunk.start);
+    scrollPanelToRow(registration, 'B', hunk.start);
+
+    notifyDiffHunkChanged(registration);
+}
+
+function notifyDiffHunkChanged(registration) {
+    if (registration.dotNetRef) {
+        registration.dotNetRef.invokeMethodAsync('OnDiffHunkChanged', registration.current, registration.hunks.length)
+            .catch(e => console.warn('Diff navigation callback failed:', e));
+    }
+}
+
+/**
+ * Set up next/previous-change navigation. Keys (while the container has focus):
+ * F7 / Alt+ArrowDown for the next change, Shift+F7 / Alt+ArrowUp for the previous one.
+ * dotNetRef receives OnDiffHunkChanged(index, total); index is -1 until a change is selected.
+ */
+window.configureDiffNavigation = function (containerId, panelAId, panelBId, dotNetRef) {
+    window.disposeDiffNavigation(containerId);
+
+    const container = document.getElementById(containerId);
+    const panelA = document.getElementById(panelAId);
+    const panelB = document.getElementById(panelBId);
+    if (!container || !panelA || !panelB) {
+        return;
+    }
+
+    const registration = {
+        container,
+        panelA,
+        panelB,
+        dotNetRef,
+        current: -1,
+        ...collectDiffHunks(panelA, panelB)
+    };
+
+    const onKeyDown = (e) => {
+        const next = (e.key === 'F7' && !e.shiftKey) || (e.altKey && e.key === 'ArrowDown');
+        const previous = (e.key === 'F7' && e.shiftKey) || (e.altKey && e.key === 'ArrowUp');
+        if (!next && !previous) {
+            return;
+        }
+
+        e.preventDefault();
+        window.navigateDiffHunk(containerId, next ? 1 : -1);
+    };
+
+    container.addEventListener('keydown', onKeyDown);
+    registration.onKeyDown = onKeyDown;
+    window.__diffNavigation[containerId] = registration;
+
+    notifyDiffHunkChanged(registration);
+};
+
+// Move to the next (direction 1) or previous (direction -1) change. Before any change is selected,
+// navigation starts from the part of the file currently in view.
+window.navigateDiffHunk = function (containerId, direction) {
+    const registration = window.__diffNavigation[containerId];
+    if (!registration || registration.hunks.length === 0) {
+        return;
+    }
+
+    const { hunks, panelA } = registration;
+    let index;
+    if (registration.current < 0) {
+        const lineOffset = (i) => getDiffRowTop(registration, 'A', i);
+        const viewTop = panelA.scrollTop;
+        index = direction > 0
+            ? hunks.findIndex(h => lineOffset(h.start) >= viewTop)
+            : hunks.map(h => lineOffset(h.start) < viewTop).lastIndexOf(true);
+        if (index < 0) {
+            index = direction > 0 ? hunks.length - 1 : 0;
+        }
+    } else {
+        index = Math.max(0, Math.min(hunks.length - 1, registration.current + direction));
+    }
+
+    registration.container.focus({ preventScroll: true });
+    selectDiffHunk(registration, index);
+};
+
+window.disposeDiffNavigation = function (containerId) {
+    const registration = window.__diffNavigation[containerId];
+    if (!registration) {
+        return;
+    }
+
+    setDiffHunkHighlight(registration, registration.hunks[registration.current], false);
+    registration.container.removeEventListener('keydown', registration.onKeyDown);
+    delete window.__diffNavigation[containerId];
+};
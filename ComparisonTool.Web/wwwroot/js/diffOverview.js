@@ -0,0 +1,215 @@
+// Overview ruler for SideBySideFileView: a narrow strip beside the two panels that marks changed
+// lines in proportion to the file length, with a draggable indicator for the visible region.
+// Marks come from the line classes the component renders (line-deleted/-inserted/-modified), so
+// the ruler is empty while difference highlighting is turned off.
+
+window.__diffOverviewRulers = window.__diffOverviewRulers || {};
+
+const diffOverviewLineTypes = [
+    { className: 'line-deleted', type: 'deleted' },
+    { className: 'line-inserted', type: 'inserted' },
+    { className: 'line-modified', type: 'modified' }
+];
+
+// Both panels are padded to the same number of lines by the diff model, so line i of A and B
+// sit side by side. Deleted lines show up in A, inserted lines in B and modified lines in both.
+function getDiffOverviewLineType(lineA, lineB) {
+    for (const entry of diffOverviewLineTypes) {
+        if ((lineA && lineA.classList.contains(entry.className)) ||
+            (lineB && lineB.classList.contains(entry.className))) {
+            return entry.type;
+        }
+    }
+    return null;
+}
+
+// Merge runs of equally typed lines into ranges of [top, bottom) pixel offsets within the panel
+function collectDiffOverviewRanges(panelA, panelB) {
+    // Virtualized panels only hold the rows in view; their change ranges come with the rows
+    const virtualRows = findVirtualRows(panelA);
+    if (virtualRows) {
+        return virtualRows.ranges.map(range => ({
+            type: range.type,
+            top: getVirtualRowTop(virtualRows, range.start),
+            bottom: getVirtualRowTop(virtualRows, range.end + 1)
+        }));
+    }
+
+    const linesA = panelA.querySelectorAll('.file-line');
+    const linesB = panelB.querySelectorAll('.file-line');
+    const count = Math.max(linesA.length, linesB.length);
+    const panelTop = panelA.getBoundingClientRect().top - panelA.scrollTop;
+    const ranges = [];
+    let current = null;
+
+    for (let i = 0; i < count; i++) {
+        const type = getDiffOverviewLineType(linesA[i], linesB[i]);
+        if (!type) {
+            current = null;
+            continue;
+        }
+
+        const line = linesA[i] || linesB[i];
+        if (current && current.type === type && current.endIndex === i - 1) {
+            current.endIndex = i;
+            current.lastLine = line;
+            continue;
+        }
+
+        current = { type, endIndex: i, firstLine: line, lastLine: line };
+        ranges.push(current);
+    }
+
+    return ranges.map(range => {
+        const first = range.firstLine.getBoundingClientRect();
+        const last = range.lastLine.getBoundingClientRect();
+        return {
+            type: range.type,
+            top: first.top - panelTop,
+            bottom: last.bottom - panelTop
+        };
+    });
+}
+
+function scrollDiffPanelsTo(registration, scrollTop) {
+    const { panelA, panelB } = registration;
+    const max = panelA.scrollHeight - panelA.clientHeight;
+    const target = Math.max(0, Math.min(max, scrollTop));
+    // Set both explicitly so the jump also works while synchronized scrolling is off
+    panelA.scrollTop = target;
+    panelB.scrollTop = target;
+}
+
+function renderDiffOverviewMarks(registration) {
+    const { ruler, panelA, panelB, marks } = registration;
+    const height = panelA.scrollHeight || 1;
+
+    marks.replaceChildren();
+    for (const range of collectDiffOverviewRanges(panelA, panelB)) {
+        const mark = document.createElement('div');
+        mark.className = `diff-overview-mark diff-overview-${range.type}`;
+        mark.style.top = `${(range.top / height) * 100}%`;
+        mark.style.height = `${((range.bottom - range.top) / height) * 100}%`;
+        mark.dataset.top = range.top;
+        marks.appendChild(mark);
+    }
+
+    updateDiffOverviewViewport(registration);
+}
+
+function updateDiffOverviewViewport(registration) {
+    const { panelA, viewport } = registration;
+    const height = panelA.scrollHeight || 1;
+    viewport.style.top = `${(panelA.scrollTop / height) * 100}%`;
+    viewport.style.height = `${Math.min(1, panelA.clientHeight / height) * 100}%`;
+}
+
+/**
+ * Build the overview ruler for a pair of side-by-side panels. Call again after the panel content
+ * changes (new files, highlighting or word wrap toggled) to redraw the marks.
+ */
+window.configureDiffOverviewRuler = function (rulerId, panelAId, panelBId) {
+    window.disposeDiffOverviewRuler(rulerId);
+
+    const ruler = document.getElementById(rulerId);
+    const panelA = document.getElementById(panelAId);
+    const panelB = document.getElementById(panelBId);
+    if (!ruler || !panelA || !panelB) {
+        return;
+    }
+
+    const marks = document.createElement('div');
+    marks.className = 'diff-overview-marks';
+    const viewport = document.createElement('div');
+    viewport.className = 'diff-overview-viewport';
+    ruler.replaceChildren(marks, viewport);
+
+    const registration = { ruler, panelA, panelB, marks, viewport, frame: 0 };
+
+    const onScroll = () => updateDiffOverviewViewport(registration);
+
+    // Click a mark to jump to its first line; click elsewhere to centre the view on that spot
+    const onRulerClick = (e) => {
+        if (e.target === viewport) {
+            return;
+        }
+
+        const rulerRect = ruler.getBoundingClientRect();
+        const height = panelA.scrollHeight;
+        if (e.target.classList.contains('diff-overview-mark')) {
+            // Leave a few lines of context above the change
+            scrollDiffPanelsTo(registration, Number(e.target.dataset.top) - panelA.clientHeight / 4);
+            return;
+        }
+
+        const fraction = (e.clientY - rulerRect.top) / rulerRect.height;
+        scrollDiffPanelsTo(registration, fraction * height - panelA.clientHeight / 2);
+    };
+
+    let drag = null;
+    const onPointerDown = (e) => {
+        if (e.target !== viewport) {
+            return;
+        }
+
+        e.preventDefault();
+        viewport.setPointerCapture(e.pointerId);
+        drag = { startY: e.clientY, startScrollTop: panelA.scrollTop };
+    };
+    const onPointerMove = (e) => {
+        if (!drag) {
+            return;
+        }
+
+        const scale = panelA.scrollHeight / ruler.getBoundingClientRect().height;
+        scrollDiffPanelsTo(registration, drag.startScrollTop + (e.clientY - drag.startY) * scale);
+    };
+    const onPointerUp = (e) => {
+        if (drag) {
+            viewport.releasePointerCapture(e.pointerId);
+            drag = null;
+        }
+    };
+
+    // Wrapping and window resizes move lines around; redraw at most once per frame
+    const resizeObserver = new ResizeObserver(() => {
+        cancelAnimationFrame(registration.frame);
+        registration.frame = requestAnimationFrame(() => renderDiffOverviewMarks(registration));
+    });
+
+    panelA.addEventListener('scroll', onScroll, { passive: true });
+    ruler.addEventListener('click', onRulerClick);
+    viewport.addEventListener('pointerdown', onPointerDown);
+    viewport.addEventListener('pointermove', onPointerMove);
+    viewport.addEventListener('pointerup', onPointerUp);
+    viewport.addEventListener('pointercancel', onPointerUp);
+    resizeObserver.observe(panelA);
+    const content = panelA.querySelector('.file-content');
+    if (content) {
+        resizeObserver.observe(content);
+    }
+
+    Object.assign(registration, { onScroll, onRulerClick, onPointerDown, onPointerMove, onPointerUp, resizeObserver });
+    window.__diffOverviewRulers[rulerId] = registration;
+
+    renderDiffOverviewMarks(registration);
+};
+
+window.disposeDiffOverviewRuler = function (rulerId) {
+    const registration = window.__diffOverviewRulers[rulerId];
+    if (!registration) {
+        return;
+    }
+
+    const { ruler, panelA, viewport } = registration;
+    cancelAnimationFrame(registration.frame);
+    registration.resizeObserver.disconnect();
+    panelA.removeEventListener('scroll', registration.onScroll);
+    ruler.removeEventListener('click', registration.onRulerClick);
+    viewport.removeEventListener('pointerdown', registration.onPointerDown);
+    viewport.removeEventListener('pointermove', registration.onPointerMove);
+    viewport.removeEventListener('pointerup', registration.onPointerUp);
+    viewport.removeEventListener('pointercancel', registration.onPointerUp);
+    ruler.replaceChildren();
+    delete window.__diffOverviewRulers[rulerId];
+};
@@ -0,0 +1,285 @@
+// Find-in-diff for SideBySideFileView: searches the Expected and Actual panels together (rendered
+// or virtualized), optionally only on changed lines, and steps through the matches in row order.
+// Matches are painted with the CSS Custom Highlight API so the Blazor-rendered DOM is never
+// modified; browsers without it still get counts and navigation.
+
+window.__diffSearches = window.__diffSearches || {};
+window.__diffSearchShortcuts = window.__diffSearchShortcuts || {};
+
+// Latest search started per container; older searches still reading rows are dropped when they finish
+const diffSearchGenerations = {};
+
+const diffSearchMaxMatches = 10000;
+const diffSearchHighlightsSupported = typeof CSS !== 'undefined' && !!CSS.highlights && typeof Highlight !== 'undefined';
+
+// Row texts of both sides and per-row "changed" flags, from the DOM or from the virtual row source
+async function readDiffSearchRows(panelA, panelB) {
+    const virtualA = findVirtualRows(panelA);
+    const virtualB = findVirtualRows(panelB);
+    if (virtualA && virtualB) {
+        const [textsA, textsB] = await Promise.all([loadVirtualRowTexts(virtualA), loadVirtualRowTexts(virtualB)]);
+        const changed = new Array(Math.max(textsA.length, textsB.length)).fill(false);
+        for (const range of virtualA.ranges) {
+            changed.fill(true, range.start, range.end + 1);
+        }
+        return { virtualA, virtualB, textsA, textsB, changed };
+    }
+
+    const linesA = panelA.querySelectorAll('.file-line');
+    const linesB = panelB.querySelectorAll('.file-line');
+    const lineText = (line) => {
+        const content = line && line.querySelector('.line-content');
+        return content ? content.textContent : '';
+    };
+    const count = Math.max(linesA.length, linesB.length);
+    const changed = [];
+    for (let i = 0; i < count; i++) {
+        changed.push(getDiffOverviewLineType(linesA[i], linesB[i]) !== null);
+    }
+
+    return {
+        linesA,
+        linesB,
+        textsA: Array.from(linesA, lineText),
+        textsB: Array.from(linesB, lineText),
+        changed
+    };
+}
+
+function createDiffSearchMatcher(options) {
+    if (options.regex) {
+        // Throws for invalid patterns; the caller reports the message
+        const pattern = new RegExp(options.query, options.caseSensitive ? 'g' : 'gi');
+        return (text) => {
+            const matches = [];
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                if (match[0].length === 0) {
+                    pattern.lastIndex++;
+                    continue;
+                }
+                matches.push({ start: match.index, end: match.index + match[0].length });
+            }
+            return matches;
+        };
+    }
+
+    const needle = options.caseSensitive ? options.query : options.query.toLowerCase();
+    return (text) => {
+        const haystack = options.caseSensitive ? text : text.toLowerCase();
+        const matches = [];
+        let index = haystack.indexOf(needle);
+        while (index >= 0) {
+            matches.push({ start: index, end: index + needle.length });
+            index = haystack.indexOf(needle, index + needle.length);
+        }
+        return matches;
+    };
+}
+
+// Map character offsets within an element's text onto a DOM Range across its text nodes
+function createDiffSearchRange(element, start, end) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    const range = document.createRange();
+    let offset = 0;
+    let started = false;
+    let node;
+
+    while ((node = walker.nextNode())) {
+        const length = node.nodeValue.length;
+        if (!started && start <= offset + length) {
+            range.setStart(node, start - offset);
+            started = true;
+        }
+        if (started && end <= offset + length) {
+            range.setEnd(node, end - offset);
+            return range;
+        }
+        offset += length;
+    }
+
+    return null;
+}
+
+function getDiffSearchRowElement(search, side, row) {
+    const virtualRows = side === 'A' ? search.virtualA : search.virtualB;
+    if (virtualRows) {
+        const { start, end } = virtualRows.rendered;
+        return row >= start && row < end ? virtualRows.window.children[row - start] : null;
+    }
+
+    return (side === 'A' ? search.linesA : search.linesB)[row] || null;
+}
+
+function collectDiffSearchRanges(search) {
+    const ranges = [];
+    const current = [];
+    search.matches.forEach((match, index) => {
+        const row = getDiffSearchRowElement(search, match.side, match.row);
+        const content = row && row.querySelector('.line-content');
+        const range = content && createDiffSearchRange(content, match.start, match.end);
+        if (range) {
+            (index === search.current ? current : ranges).push(range);
+        }
+    });
+    return { ranges, current };
+}
+
+// Highlights are global per name, so repaint from every active search at once
+function paintDiffSearchHighlights() {
+    if (!diffSearchHighlightsSupported) {
+        return;
+    }
+
+    const all = new Highlight();
+    const current = new Highlight();
+    for (const search of Object.values(window.__diffSearches)) {
+        const ranges = collectDiffSearchRanges(search);
+        ranges.ranges.forEach(r => all.add(r));
+        ranges.current.forEach(r => current.add(r));
+    }
+
+    CSS.highlights.set('diff-search-match', all);
+    CSS.highlights.set('diff-search-current', current);
+}
+
+function getDiffSearchSummary(search) {
+    return {
+        countA: search.matches.filter(m => m.side === 'A').length,
+        countB: search.matches.filter(m => m.side === 'B').length,
+        total: search.matches.length,
+        current: search.current,
+        truncated: search.truncated,
+        error: null
+    };
+}
+
+/**
+ * Search both panels. options: { query, regex, caseSensitive, changedOnly }.
+ * Returns { countA, countB, total, current, truncated, error }; current is -1 until a match is
+ * selected with navigateDiffSearch. An empty query clears the search.
+ */
+window.runDiffSearch = async function (containerId, panelAId, panelBId, options) {
+    window.clearDiffSearch(containerId);
+    const generation = (diffSearchGenerations[containerId] || 0) + 1;
+    diffSearchGenerations[containerId] = generation;
+
+    const panelA = document.getElementById(panelAId);
+    const panelB = document.getElementById(panelBId);
+    if (!panelA || !panelB || !options || !options.query) {
+        return { countA: 0, countB: 0, total: 0, current: -1, truncated: false, error: null };
+    }
+
+    let matcher;
+    try {
+        matcher = createDiffSearchMatcher(options);
+    } catch (e) {
+        return { countA: 0, countB: 0, total: 0, current: -1, truncated: false, error: e.message };
+    }
+
+    const search = { panelA, panelB, matches: [], current: -1, truncated: false, ...await readDiffSearchRows(panelA, panelB) };
+    if (diffSearchGenerations[containerId] !== generation) {
+        return null;
+    }
+    const rowCount = Math.max(search.textsA.length, search.textsB.length);
+
+    // Row order, Expected before Actual within a row, so next/previous walks down both files together
+    for (let row = 0; row < rowCount && !search.truncated; row++) {
+        if (options.changedOnly && !search.changed[row]) {
+            continue;
+        }
+
+        for (const side of ['A', 'B']) {
+            const text = (side === 'A' ? search.textsA : search.textsB)[row] || '';
+            for (const match of matcher(text)) {
+                if (search.matches.length >= diffSearchMaxMatches) {
+                    search.truncated = true;
+                    break;
+                }
+                search.matches.push({ side, row, start: match.start, end: match.end });
+            }
+        }
+    }
+
+    // Virtual rows are replaced while scrolling; repaint the highlights on the new elements
+    search.onRowsRendered = () => paintDiffSearchHighlights();
+    for (const virtualRows of [search.virtualA, search.virtualB]) {
+        if (virtualRows) {
+            virtualRows.renderListeners.add(search.onRowsRendered);
+        }
+    }
+
+    window.__diffSearches[containerId] = search;
+    paintDiffSearchHighlights();
+    return getDiffSearchSummary(search);
+};
+
+// Select the next (1) or previous (-1) match, wrapping around, and scroll both panels to its row
+window.navigateDiffSearch = function (containerId, direction) {
+    const search = window.__diffSearches[containerId];
+    if (!search || search.matches.length === 0) {
+        return -1;
+    }
+
+    const count = search.matches.length;
+    search.current = search.current < 0
+        ? (direction > 0 ? 0 : count - 1)
+        : (search.current + direction + count) % count;
+
+    // Same row-position rules as change navigation, so both panels land on the row together
+    const rows = { virtualA: search.virtualA, virtualB: search.virtualB, linesA: search.linesA, linesB: search.linesB, panelA: search.panelA, panelB: search.panelB };
+    const row = search.matches[search.current].row;
+    scrollPanelToRow(rows, 'A', row);
+    scrollPanelToRow(rows, 'B', row);
+
+    paintDiffSearchHighlights();
+    return search.current;
+};
+
+// Ctrl+F inside the side-by-side container focuses the find box instead of the browser's own search
+window.configureDiffSearchShortcut = function (containerId, searchBoxId) {
+    window.disposeDiffSearchShortcut(containerId);
+
+    const container = document.getElementById(containerId);
+    if (!container) {
+        return;
+    }
+
+    const onKeyDown = (e) => {
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') {
+            const input = document.querySelector(`#${searchBoxId} input`);
+            if (input) {
+                e.preventDefault();
+                input.focus();
+                input.select();
+            }
+        }
+    };
+
+    container.addEventListener('keydown', onKeyDown);
+    window.__diffSearchShortcuts[containerId] = { container, onKeyDown };
+};
+
+window.disposeDiffSearchShortcut = function (containerId) {
+    const registration = window.__diffSearchShortcuts[containerId];
+    if (registration) {
+        registration.container.removeEventListener('keydown', registration.onKeyDown);
+        delete window.__diffSearchShortcuts[containerId];
+    }
+};
+
+window.clearDiffSearch = function (containerId) {
+    const search = window.__diffSearches[containerId];
+    if (!search) {
+        return;
+    }
+
+    for (const virtualRows of [search.virtualA, search.virtualB]) {
+        if (virtualRows) {
+            virtualRows.renderListeners.delete(search.onRowsRendered);
+        }
+    }
+    delete window.__diffSearches[containerId];
+    paintDiffSearchHighlights();
+};
@@ -0,0 +1,172 @@
+// Drag-and-drop zones for Expected/Actual file sets. Dropped folders are walked recursively so
+// relative paths are preserved, then fed into the same batch upload pipeline as the folder picker.
+
+window.__dropZones = window.__dropZones || {};
+
+// Read every entry of a directory; readEntries returns results in chunks until it yields none
+function readAllDirectoryEntries(directoryEntry) {
+    const reader = directoryEntry.createReader();
+    const entries = [];
+
+    return new Promise((resolve, reject) => {
+        const readNext = () => {
+            reader.readEntries(batch => {
+                if (batch.length === 0) {
+                    resolve(entries);
+                    return;
+                }
+
+                entries.push(...batch);
+                readNext();
+            }, reject);
+        };
+        readNext();
+    });
+}
+
+function getFileFromEntry(fileEntry) {
+    return new Promise((resolve, reject) => fileEntry.file(resolve, reject));
+}
+
+// Collect File objects below an entry, recording each file's path relative to the drop
+async function collectEntryFiles(entry, files) {
+    if (entry.isFile) {
+        const file = await getFileFromEntry(entry);
+        // fullPath is "/Folder/Sub/file.xml"; upload paths have no leading slash
+        setUploadRelativePath(file, entry.fullPath.replace(/^\/+/, ''));
+        files.push(file);
+    } else if (entry.isDirectory) {
+        const children = await readAllDirectoryEntries(entry);
+        for (const child of children) {
+            await collectEntryFiles(child, files);
+        }
+    }
+}
+
+// Resolve the files of a drop, walking dropped folders. Falls back to the flat file list
+// for browsers without webkitGetAsEntry.
+async function collectDroppedFiles(dataTransfer) {
+    const items = Array.from(dataTransfer.items || []);
+    if (items.length === 0 || typeof items[0].webkitGetAsEntry !== 'function') {
+        return Array.from(dataTransfer.files || []);
+    }
+
+    // Entries must be taken synchronously - the DataTransfer is emptied once the handler yields
+    const entries = items
+        .filter(item => item.kind === 'file')
+        .map(item => item.webkitGetAsEntry())
+        .filter(entry => entry);
+
+    const files = [];
+    for (const entry of entries) {
+        await collectEntryFiles(entry, files);
+    }
+    return files;
+}
+
+/**
+ * Turn an element into a drop zone for files and folders.
+ * options: { target: 'Expected' | 'Actual' | ..., uploadKey, batchSize }
+ * The component is told about the drop via OnDropZoneFilesDropped(target, fileCount), and
+ * the files are uploaded under uploadKey, reporting through the usual OnBatchUpload* callbacks.
+ */
+window.attachDropZone = function (elementId, options, dotNetRef) {
+    window.detachDropZone(elementId);
+
+    const element = document.getElementById(elementId);
+    if (!element) {
+        return;
+    }
+
+    const target = (options && options.target) || '';
+    const uploadKey = (options && options.uploadKey) || elementId;
+    const batchSize = (options && options.batchSize) || 25;
+
+    // dragenter/dragleave fire for every child element, so track nesting depth
+    let dragDepth = 0;
+
+    const isFileDrag = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+
+    const onDragEnter = function (e) {
+        if (!isFileDrag(e)) {
+            return;
+        }
+
+        e.preventDefault();
+        dragDepth++;
+        element.classList.add('drop-zone-active');
+    };
+
+    const onDragOver = function (e) {
+        if (!isFileDrag(e)) {
+            return;
+        }
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+    };
+
+    const onDragLeave = function () {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) {
+            element.classList.remove('drop-zone-active');
+        }
+    };
+
+    const onDrop = async function (e) {
+        if (!isFileDrag(e)) {
+            return;
+        }
+
+        e.preventDefault();
+        dragDepth = 0;
+        element.classList.remove('drop-zone-active');
+        element.classList.add('drop-zone-dropped');
+        setTimeout(() => element.classList.remove('drop-zone-dropped'), 600);
+
+        let files;
+        try {
+            files = await collectDroppedFiles(e.dataTransfer);
+        } catch (err) {
+            console.error('Error reading dropped files:', err);
+            notifyUploadListener(dotNetRef, 'OnBatchUploadError', `Could not read the dropped files: ${err}`);
+            return;
+        }
+
+        notifyUploadListener(dotNetRef, 'OnDropZoneFilesDropped', target, files.length);
+        if (files.length === 0) {
+            return;
+        }
+
+        await window.startFolderUpload(uploadKey, files, batchSize, dotNetRef);
+    };
+
+    element.classList.add('drop-zone');
+    element.addEventListener('dragenter', onDragEnter);
+    element.addEventListener('dragover', onDragOver);
+    element.addEventListener('dragleave', onDragLeave);
+    element.addEventListener('drop', onDrop);
+
+    window.__dropZones[elementId] = {
+        element,
+        onDragEnter,
+        onDragOver,
+        onDragLeave,
+        onDrop
+    };
+};
+
+window.detachDropZone = function (elementId) {
+    const registration = window.__dropZones[elementId];
+    if (!registration) {
+        return;
+    }
+
+    const element = registration.element;
+    element.removeEventListener('dragenter', registration.onDragEnter);
+    element.removeEventListener('dragover', registration.onDragOver);
+    element.removeEventListener('dragleave', registration.onDragLeave);
+    element.removeEventListener('drop', registration.onDrop);
+    element.classList.remove('drop-zone', 'drop-zone-active', 'drop-zone-dropped');
+    delete window.__dropZones[elementId];
+};
@@ -0,0 +1,184 @@
+// Downloads and exports. Small text goes through saveAsFile/downloadFile; large payloads arrive from
+// .NET as DotNetStreamReference so no giant string crosses the circuit. Several artifacts can be
+// bundled into one ZIP that is assembled in the browser (see BrowserFileExporter on the .NET side).
+
+window.__exportBundles = window.__exportBundles || {};
+
+function saveBlobAsFile(filename, blob) {
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+
+    document.body.appendChild(a);
+
+    a.click();
+
+    setTimeout(() => {
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }, 0);
+}
+
+function saveAsFile(filename, contentType, content) {
+    saveBlobAsFile(filename, new Blob([content], { type: contentType }));
+}
+
+window.downloadFile = function (filename, content, contentType) {
+    saveAsFile(filename, contentType || 'application/octet-stream', content);
+};
+
+async function readDotNetStream(streamRef) {
+    return new Uint8Array(await new Response(await streamRef.stream()).arrayBuffer());
+}
+
+window.downloadFileFromStream = async function (filename, contentType, streamRef) {
+    const blob = await new Response(await streamRef.stream()).blob();
+    saveBlobAsFile(filename, new Blob([blob], { type: contentType || 'application/octet-stream' }));
+};
+
+// --- ZIP bundles ---------------------------------------------------------------------------------
+
+let crc32Table = null;
+
+function crc32(bytes) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Raw DEFLATE through CompressionStream where available; otherwise entries are stored uncompressed
+async function deflateRaw(bytes) {
+    if (typeof CompressionStream === 'undefined') {
+        return null;
+    }
+
+    try {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch {
+        return null;
+    }
+}
+
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+function buildZipHeader(signature, entry, centralOffset) {
+    const isCentral = centralOffset !== undefined;
+    const header = new DataView(new ArrayBuffer(isCentral ? 46 : 30));
+    let p = 0;
+    const u16 = (v) => { header.setUint16(p, v, true); p += 2; };
+    const u32 = (v) => { header.setUint32(p, v, true); p += 4; };
+
+    u32(signature);
+    if (isCentral) {
+        u16(20);                         // version made by
+    }
+    u16(20);                             // version needed to extract
+    u16(0x0800);                         // UTF-8 file names
+    u16(entry.method);
+    u16(entry.dos.time);
+    u16(entry.dos.date);
+    u32(entry.crc);
+    u32(entry.data.length);
+    u32(entry.size);
+    u16(entry.name.length);
+    u16(0);                              // extra field length
+    if (isCentral) {
+        u16(0);                          // comment length
+        u16(0);                          // disk number
+        u16(0);                          // internal attributes
+        u32(0);                          // external attributes
+        u32(centralOffset);
+    }
+
+    return new Uint8Array(header.buffer);
+}
+
+function buildZipBlob(entries) {
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const local = buildZipHeader(0x04034B50, entry);
+        parts.push(local, entry.name, entry.data);
+        central.push(buildZipHeader(0x02014B50, entry, offset), entry.name);
+        offset += local.length + entry.name.length + entry.data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
+
+window.beginExportBundle = function (bundleId) {
+    window.__exportBundles[bundleId] = { entries: [], size: 0, created: new Date() };
+};
+
+// Add one artifact. Paths use '/' separators and become folders inside the archive.
+window.addExportBundleEntry = async function (bundleId, path, streamRef) {
+    const bundle = window.__exportBundles[bundleId];
+    if (!bundle) {
+        throw new Error(`Unknown export bundle: ${bundleId}`);
+    }
+
+    const bytes = await readDotNetStream(streamRef);
+    const compressed = await deflateRaw(bytes);
+    const useDeflate = compressed !== null && compressed.length < bytes.length;
+    const entry = {
+        name: new TextEncoder().encode(path.replace(/\\/g, '/').replace(/^\/+/, '')),
+        crc: crc32(bytes),
+        size: bytes.length,
+        data: useDeflate ? compressed : bytes,
+        method: useDeflate ? 8 : 0,
+        dos: toDosDateTime(bundle.created)
+    };
+
+    // Plain ZIP (no ZIP64) caps sizes, offsets and entry counts
+    bundle.size += entry.data.length + entry.name.length + 76;
+    if (bundle.size >= 0xFFFFFFFF || bundle.entries.length >= 0xFFFF) {
+        throw new Error('The export is too large for a single ZIP file');
+    }
+
+    bundle.entries.push(entry);
+};
+
+window.finishExportBundle = function (bundleId, filename) {
+    const bundle = window.__exportBundles[bundleId];
+    if (!bundle) {
+        return;
+    }
+
+    delete window.__exportBundles[bundleId];
+    saveBlobAsFile(filename, buildZipBlob(bundle.entries));
+};
+
+window.cancelExportBundle = function (bundleId) {
+    delete window.__exportBundles[bundleId];
+};
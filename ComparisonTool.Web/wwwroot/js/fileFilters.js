@@ -0,0 +1,195 @@
+// Include/exclude filtering of Expected/Actual selections before upload. Filters come from Blazor
+// (glob patterns and size limits per upload key) and from .comparisonignore files in the selection,
+// which use .gitignore syntax and apply to their own folder and everything below it.
+// Every file gets a decision with a reason so the preview can say why a file is skipped.
+
+window.__uploadFilters = window.__uploadFilters || {};
+
+const comparisonIgnoreFileName = '.comparisonignore';
+
+// Glob to RegExp: '**' crosses folders, '*', '?' and '[...]' (a character class, '[!...]' negated)
+// stay within one name. Patterns without '/' match a name at any depth; a leading '/' anchors to the
+// folder root; a trailing '/' only matches folders.
+function compileUploadGlob(pattern) {
+    let glob = pattern.trim().replace(/\\/g, '/');
+    const anchored = glob.startsWith('/');
+    glob = glob.replace(/^\/+/, '');
+    const directoryOnly = glob.endsWith('/');
+    glob = glob.replace(/\/+$/, '');
+    const matchAnyDepth = !anchored && !glob.includes('/');
+
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*' && glob[i + 1] === '*') {
+            if (glob[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (c === '*') {
+            source += '[^/]*';
+        } else if (c === '?') {
+            source += '[^/]';
+        } else if (c === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end < 0) {
+                source += '\\[';
+            } else {
+                const body = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+                // A negated class still stays within one name
+                source += `[${body.startsWith('!') ? '^/' + body.slice(1) : body}]`;
+                i = end;
+            }
+        } else {
+            source += c.replace(/[.+^${}()|\\]/g, '\\$&');
+        }
+    }
+
+    const regex = new RegExp(`${matchAnyDepth ? '(?:^|/)' : '^'}${source}$`, 'i');
+
+    // A pattern that matches a folder also matches everything inside it
+    return (path) => {
+        const segments = path.split('/');
+        for (let length = segments.length; length > 0; length--) {
+            const isFolder = length < segments.length;
+            if ((isFolder || !directoryOnly) && regex.test(segments.slice(0, length).join('/'))) {
+                return true;
+            }
+        }
+        return false;
+    };
+}
+
+function compileUploadPatterns(patterns) {
+    return (patterns || [])
+        .map(p => (p || '').trim())
+        .filter(p => p.length > 0)
+        .map(p => ({ pattern: p, matches: compileUploadGlob(p) }));
+}
+
+// .gitignore rules: blank lines and '#' comments are skipped, '!' re-includes, last match wins
+function parseComparisonIgnore(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.replace(/\s+$/, ''))
+        .filter(line => line.length > 0 && !line.startsWith('#'))
+        .map(line => {
+            const negated = line.startsWith('!');
+            const pattern = negated ? line.slice(1) : line.replace(/^\\([#!])/, '$1');
+            return { pattern: line, negated, matches: compileUploadGlob(pattern) };
+        });
+}
+
+// Paths are matched relative to the picked folder: the first segment is the folder (or archive) name
+function getFilterRelativePath(path) {
+    const slash = path.indexOf('/');
+    return slash < 0 ? path : path.slice(slash + 1);
+}
+
+async function loadComparisonIgnoreRules(files) {
+    const ignoreFiles = files.filter(f => f.name === comparisonIgnoreFileName);
+    const rules = [];
+    for (const file of ignoreFiles) {
+        const path = getUploadRelativePath(file);
+        const folder = path.slice(0, path.length - comparisonIgnoreFileName.length);
+        try {
+            rules.push({ folder, path, rules: parseComparisonIgnore(await file.text()) });
+        } catch (e) {
+            console.warn('Could not read', path, e);
+        }
+    }
+
+    // Deeper ignore files are applied last so they can override their parents
+    return rules.sort((a, b) => a.folder.length - b.folder.length);
+}
+
+// Decide one file. Returns null when it is included, otherwise the reason it is skipped.
+function getUploadFilterReason(file, filters, ignoreRules) {
+    const path = getUploadRelativePath(file);
+
+    if (!isSupportedFile(file)) {
+        return 'Not an XML or JSON file';
+    }
+
+    let ignoredBy = null;
+    for (const ignoreFile of ignoreRules) {
+        if (!path.startsWith(ignoreFile.folder)) {
+            continue;
+        }
+        const relative = path.slice(ignoreFile.folder.length);
+        for (const rule of ignoreFile.rules) {
+            if (rule.matches(relative)) {
+                ignoredBy = rule.negated ? null : `${ignoreFile.path}: ${rule.pattern}`;
+            }
+        }
+    }
+    if (ignoredBy) {
+        return `Ignored by ${ignoredBy}`;
+    }
+
+    const relativePath = getFilterRelativePath(path);
+    if (filters.include.length > 0 && !filters.include.some(rule => rule.matches(relativePath))) {
+        return 'Does not match any include pattern';
+    }
+
+    const excludedBy = filters.exclude.find(rule => rule.matches(relativePath));
+    if (excludedBy) {
+        return `Excluded by pattern ${excludedBy.pattern}`;
+    }
+
+    if (filters.minSizeBytes && file.size < filters.minSizeBytes) {
+        return `Smaller than the ${formatBytes(filters.minSizeBytes)} minimum`;
+    }
+    if (filters.maxSizeBytes && file.size > filters.maxSizeBytes) {
+        return `Larger than the ${formatBytes(filters.maxSizeBytes)} maximum`;
+    }
+
+    return null;
+}
+
+/**
+ * Apply the upload key's filters and the selection's .comparisonignore files.
+ * Returns { included: File[], skipped: [{ path, size, reason }], ignoreFiles: [path] }.
+ */
+async function applyUploadFilters(uploadKey, files) {
+    const options = window.__uploadFilters[uploadKey] || {};
+    const filters = {
+        include: compileUploadPatterns(options.include),
+        exclude: compileUploadPatterns(options.exclude),
+        minSizeBytes: options.minSizeBytes || 0,
+        maxSizeBytes: options.maxSizeBytes || 0
+    };
+    const ignoreRules = await loadComparisonIgnoreRules(files);
+
+    const included = [];
+    const skipped = [];
+    for (const file of files) {
+        if (file.name === comparisonIgnoreFileName) {
+            continue;
+        }
+
+        const reason = getUploadFilterReason(file, filters, ignoreRules);
+        if (reason) {
+            skipped.push({ path: getUploadRelativePath(file), size: file.size, reason });
+        } else {
+            included.push(file);
+        }
+    }
+
+    return { included, skipped, ignoreFiles: ignoreRules.map(r => r.path) };
+}
+
+/**
+ * Filters for an upload key. options: { include: [glob], exclude: [glob], minSizeBytes, maxSizeBytes }.
+ * Configured keys also get a preview (OnUploadFilterPreview) that has to be confirmed with
+ * resolveUploadFilterPreview before anything is uploaded.
+ */
+window.configureUploadFilters = function (uploadKey, options) {
+    window.__uploadFilters[uploadKey] = options || {};
+};
+
+window.removeUploadFilters = function (uploadKey) {
+    delete window.__uploadFilters[uploadKey];
+};
@@ -0,0 +1,23 @@
+// Web worker that computes SHA-256 hashes of files so the UI thread stays responsive.
+// Receives { files: File[] } and posts { index, hash } per file (hash is null when hashing fails),
+// followed by { done: true }.
+self.onmessage = async function (e) {
+    const files = e.data.files || [];
+
+    for (let i = 0; i < files.length; i++) {
+        let hash = null;
+        try {
+            const buffer = await files[i].arrayBuffer();
+            const digest = await crypto.subtle.digest('SHA-256', buffer);
+            hash = Array.from(new Uint8Array(digest))
+                .map(b => b.toString(16).padStart(2, '0'))
+                .join('');
+        } catch (err) {
+            // Leave hash null - the file is simply uploaded without dedup
+        }
+
+        self.postMessage({ index: i, hash });
+    }
+
+    self.postMessage({ done: true });
+};
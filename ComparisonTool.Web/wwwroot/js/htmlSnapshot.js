@@ -0,0 +1,197 @@
+// Offline HTML snapshot of a results area: the rendered DOM with the page's CSS inlined, charts
+// frozen to images and a small embedded script for the interactivity that does not need the server
+// (collapsible sections marked with data-snapshot-* attributes, scroll-synced side-by-side panels).
+// Sections the server has not rendered are not in the DOM, so the page expands them and renders every
+// row of paged lists before calling. Virtualized lists (virtualRows.js) are filled in here; anything
+// still missing is listed in a banner at the top of the snapshot.
+
+// Same-origin stylesheets (MudBlazor, app.css, scoped styles, theme variables and component <style>
+// blocks). Cross-origin sheets such as web fonts cannot be read and fall back to local fonts.
+function collectSnapshotCss() {
+    const css = [];
+    for (const sheet of Array.from(document.styleSheets)) {
+        try {
+            css.push(Array.from(sheet.cssRules, rule => rule.cssText).join('\n'));
+        } catch {
+            // Cross-origin stylesheet
+        }
+    }
+    return css.join('\n');
+}
+
+// Canvas pixels are not part of the DOM; replace each cloned canvas with an image of the original
+function freezeSnapshotCanvases(source, clone) {
+    const sourceCanvases = source.querySelectorAll('canvas');
+    clone.querySelectorAll('canvas').forEach((canvas, index) => {
+        const original = sourceCanvases[index];
+        if (!original) {
+            return;
+        }
+
+        const image = document.createElement('img');
+        try {
+            image.src = original.toDataURL('image/png');
+        } catch {
+            return;
+        }
+        image.style.width = `${original.clientWidth}px`;
+        image.style.height = `${original.clientHeight}px`;
+        canvas.replaceWith(image);
+    });
+}
+
+// Current input values live in properties, not attributes, so copy them over before serializing
+function freezeSnapshotFormValues(source, clone) {
+    const sourceInputs = source.querySelectorAll('input, textarea');
+    clone.querySelectorAll('input, textarea').forEach((input, index) => {
+        const original = sourceInputs[index];
+        if (!original) {
+            return;
+        }
+
+        if (input.type === 'checkbox' || input.type === 'radio') {
+            input.toggleAttribute('checked', original.checked);
+        } else if (input.tagName === 'TEXTAREA') {
+            input.textContent = original.value;
+        } else {
+            input.setAttribute('value', original.value);
+        }
+        input.setAttribute('readonly', '');
+    });
+}
+
+// Rows per virtualized list; beyond this the snapshot would be too large to open
+const snapshotMaxVirtualRows = 100000;
+
+// Virtualized lists only have the rows in view in the DOM; replace them in the clone with every row.
+// Returns notes for the lists that had to be cut short.
+async function fillSnapshotVirtualRows(area, clone) {
+    const notes = [];
+    for (const [contentId, registration] of Object.entries(window.__virtualRows || {})) {
+        if (!area.contains(registration.content)) {
+            continue;
+        }
+
+        const cloneContent = clone.querySelector(`#${CSS.escape(contentId)}`);
+        if (!cloneContent) {
+            continue;
+        }
+
+        const rowWindow = document.createElement('div');
+        rowWindow.className = 'virtual-rows-window';
+        rowWindow.appendChild(await createAllVirtualRowElements(registration, snapshotMaxVirtualRows));
+        cloneContent.style.height = '';
+        cloneContent.replaceChildren(rowWindow);
+
+        if (registration.rowCount > snapshotMaxVirtualRows) {
+            notes.push(`A list of ${registration.rowCount.toLocaleString()} lines shows its first ${snapshotMaxVirtualRows.toLocaleString()} lines only.`);
+        }
+    }
+    return notes;
+}
+
+// Text of the notices components mark with data-snapshot-truncated (e.g. files cut to 512 KB for display)
+function collectSnapshotTruncationNotes(clone) {
+    const notes = new Set();
+    clone.querySelectorAll('[data-snapshot-truncated]').forEach(element => {
+        const text = element.textContent.replace(/\s+/g, ' ').trim();
+        if (text) {
+            notes.add(text);
+        }
+    });
+    return Array.from(notes);
+}
+
+// Runs inside the snapshot. Serialized with toString(), so it must not reference anything outside it.
+function snapshotRuntime() {
+    document.querySelectorAll('[data-snapshot-section]').forEach(section => {
+        const toggle = section.querySelector('[data-snapshot-toggle]');
+        const body = section.querySelector('[data-snapshot-body]');
+        if (!toggle || !body) {
+            return;
+        }
+
+        toggle.style.cursor = 'pointer';
+        toggle.addEventListener('click', () => {
+            body.hidden = !body.hidden;
+        });
+    });
+
+    document.querySelectorAll('.side-by-side-container').forEach(container => {
+        const panels = container.querySelectorAll('.file-panel');
+        if (panels.length < 2) {
+            return;
+        }
+
+        let syncing = false;
+        const mirror = (source, target) => () => {
+            if (syncing) {
+                return;
+            }
+            syncing = true;
+            target.scrollTop = source.scrollTop;
+            target.scrollLeft = source.scrollLeft;
+            requestAnimationFrame(() => {
+                syncing = false;
+            });
+        };
+        panels[0].addEventListener('scroll', mirror(panels[0], panels[1]), { passive: true });
+        panels[1].addEventListener('scroll', mirror(panels[1], panels[0]), { passive: true });
+    });
+}
+
+function escapeSnapshotText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Save the element with the given ID as one standalone HTML file through saveAsFile.
+ * Resolves to false when the element is not on the page.
+ */
+window.exportHtmlSnapshot = async function (areaId, filename, title) {
+    const area = document.getElementById(areaId);
+    if (!area) {
+        return false;
+    }
+
+    const clone = area.cloneNode(true);
+    freezeSnapshotCanvases(area, clone);
+    freezeSnapshotFormValues(area, clone);
+    clone.querySelectorAll('script').forEach(script => script.remove());
+    const truncationNotes = [...await fillSnapshotVirtualRows(area, clone), ...collectSnapshotTruncationNotes(clone)];
+
+    // Buttons call back into the server and would do nothing offline; section toggles keep working
+    clone.querySelectorAll('button').forEach(button => {
+        if (!button.closest('[data-snapshot-toggle]')) {
+            button.disabled = true;
+        }
+    });
+
+    const takenAt = new Date().toLocaleString();
+    const truncationBanner = truncationNotes.length === 0 ? '' : `
+<div class="snapshot-banner snapshot-truncated"><strong>This snapshot is incomplete.</strong><ul>${truncationNotes.map(note => `<li>${escapeSnapshotText(note)}</li>`).join('')}</ul></div>`;
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeSnapshotText(title)}</title>
+<style>
+${collectSnapshotCss()}
+.snapshot-banner { padding: 8px 16px; margin-bottom: 16px; font: 0.875rem sans-serif; background: var(--mud-palette-background-grey, #f5f5f5); border-bottom: 1px solid var(--mud-palette-lines-default, #ddd); }
+.snapshot-truncated { background: var(--mud-palette-warning-lighten, #fff4e5); }
+.snapshot-truncated ul { margin: 4px 0 0; padding-left: 20px; }
+</style>
+</head>
+<body class="${escapeSnapshotText(document.body.className)}">
+<div class="snapshot-banner">${escapeSnapshotText(title)} &mdash; offline snapshot taken ${escapeSnapshotText(takenAt)}</div>${truncationBanner}
+<div class="mud-container mud-container-maxwidth-xl">
+${clone.outerHTML}
+</div>
+<script>(${snapshotRuntime.toString()})();</script>
+</body>
+</html>`;
+
+    saveAsFile(filename, 'text/html', html);
+    return true;
+};
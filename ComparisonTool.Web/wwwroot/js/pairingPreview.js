@@ -0,0 +1,148 @@
+// Pairing preview for the Expected and Actual selections, built from relative paths in the browser
+// before anything is uploaded. Each side is the selection waiting in its filter/validation preview,
+// or the last selection that was uploaded. The pairs the user confirms are handed to Blazor so the
+// comparison pairs the uploaded files exactly as reviewed.
+
+// Pairs (relative upload paths) per Expected/Actual key combination, kept until confirmed
+window.__uploadPairings = window.__uploadPairings || {};
+
+// Unmatched files listed per side in the preview; the counts always cover everything
+const pairingPreviewListLimit = 500;
+
+function getUploadSelection(uploadKey) {
+    const pending = window.__pendingUploadPreviews[uploadKey] || window.__pendingUploadValidations[uploadKey];
+    if (pending) {
+        return { files: pending.candidates, pending: true };
+    }
+
+    const uploaded = window.__uploadSelections[uploadKey];
+    return uploaded ? { files: uploaded, pending: false } : null;
+}
+
+// rule: { mode: 'path' | 'name', ignoreCase, ignoreExtension, stripPattern }. 'path' pairs by the path
+// below the picked folder, 'name' by file name alone. stripPattern (a regular expression) is removed
+// from file names first, e.g. '_(expected|actual)$' or '-\d{8}T\d{6}'.
+function compilePairingRule(rule) {
+    rule = rule || {};
+    return {
+        byName: rule.mode === 'name',
+        ignoreCase: !!rule.ignoreCase,
+        ignoreExtension: !!rule.ignoreExtension,
+        strip: rule.stripPattern ? new RegExp(rule.stripPattern, 'g') : null
+    };
+}
+
+function getPairingKey(folder, fileName, rule) {
+    let name = fileName;
+    if (rule.ignoreExtension) {
+        name = name.replace(/\.[^.]+$/, '');
+    }
+    if (rule.strip) {
+        name = name.replace(rule.strip, '');
+    }
+
+    const key = rule.byName || !folder ? name : `${folder}/${name}`;
+    return rule.ignoreCase ? key.toLowerCase() : key;
+}
+
+// Index one side by pairing key. Folders come from extractFolderInfo and are made relative to the
+// picked folder; a second file with the same key cannot be paired and is reported as a duplicate.
+function indexPairingSide(files, rule) {
+    const byKey = new Map();
+    const duplicates = [];
+    for (const [folderPath, folderFiles] of Object.entries(extractFolderInfo(files))) {
+        const folder = getFilterRelativePath(`${folderPath}/`).replace(/\/$/, '');
+        for (const file of folderFiles) {
+            const entry = { path: getUploadRelativePath(file), folder };
+            const key = getPairingKey(folder, file.name, rule);
+            if (byKey.has(key)) {
+                duplicates.push(entry);
+            } else {
+                byKey.set(key, entry);
+            }
+        }
+    }
+
+    return { byKey, duplicates };
+}
+
+/**
+ * Pair the Expected and Actual selections. Returns a JSON preview with matched, Expected-only and
+ * Actual-only counts per subfolder; the full list of pairs is kept for confirmUploadPairing.
+ */
+window.buildUploadPairingPreview = function (expectedKey, actualKey, rule) {
+    const expected = getUploadSelection(expectedKey);
+    const actual = getUploadSelection(actualKey);
+    if (!expected || !actual || (!expected.pending && !actual.pending)) {
+        delete window.__uploadPairings[`${expectedKey}|${actualKey}`];
+        return null;
+    }
+
+    let compiled;
+    try {
+        compiled = compilePairingRule(rule);
+    } catch (e) {
+        return JSON.stringify({ error: `Invalid name pattern: ${e.message}` });
+    }
+
+    const expectedSide = indexPairingSide(expected.files, compiled);
+    const actualSide = indexPairingSide(actual.files, compiled);
+
+    const folders = new Map();
+    const folderCounts = (folder) => {
+        if (!folders.has(folder)) {
+            folders.set(folder, { folder: folder || 'Root', matched: 0, expectedOnly: 0, actualOnly: 0 });
+        }
+        return folders.get(folder);
+    };
+
+    const pairs = [];
+    const expectedOnly = [];
+    const actualOnly = [];
+    for (const [key, entry] of expectedSide.byKey) {
+        const match = actualSide.byKey.get(key);
+        if (match) {
+            pairs.push({ expected: entry.path, actual: match.path });
+            folderCounts(entry.folder).matched++;
+        } else {
+            expectedOnly.push({ path: entry.path, reason: 'No Actual file with the same name' });
+            folderCounts(entry.folder).expectedOnly++;
+        }
+    }
+    for (const [key, entry] of actualSide.byKey) {
+        if (!expectedSide.byKey.has(key)) {
+            actualOnly.push({ path: entry.path, reason: 'No Expected file with the same name' });
+            folderCounts(entry.folder).actualOnly++;
+        }
+    }
+    for (const entry of expectedSide.duplicates) {
+        expectedOnly.push({ path: entry.path, reason: 'Another Expected file pairs to the same name' });
+        folderCounts(entry.folder).expectedOnly++;
+    }
+    for (const entry of actualSide.duplicates) {
+        actualOnly.push({ path: entry.path, reason: 'Another Actual file pairs to the same name' });
+        folderCounts(entry.folder).actualOnly++;
+    }
+
+    window.__uploadPairings[`${expectedKey}|${actualKey}`] = pairs;
+
+    const byPath = (a, b) => a.path.localeCompare(b.path);
+    return JSON.stringify({
+        expectedCount: expected.files.length,
+        actualCount: actual.files.length,
+        matchedCount: pairs.length,
+        expectedOnlyCount: expectedOnly.length,
+        actualOnlyCount: actualOnly.length,
+        expectedOnly: expectedOnly.sort(byPath).slice(0, pairingPreviewListLimit),
+        actualOnly: actualOnly.sort(byPath).slice(0, pairingPreviewListLimit),
+        folders: Array.from(folders.values()).sort((a, b) => a.folder.localeCompare(b.folder))
+    });
+};
+
+// Hand the reviewed pairs ([{ expected, actual }] relative upload paths) to Blazor
+window.confirmUploadPairing = function (expectedKey, actualKey) {
+    const key = `${expectedKey}|${actualKey}`;
+    const pairs = window.__uploadPairings[key];
+    delete window.__uploadPairings[key];
+    return pairs ? JSON.stringify(pairs) : null;
+};
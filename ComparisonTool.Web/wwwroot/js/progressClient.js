@@ -0,0 +1,186 @@
+// Browser client for /hubs/comparison-progress. Watches a request comparison job started through
+// /api/requests/compare and drives the processing indicator with its phase, percent and message.
+
+window.__comparisonJobWatchers = window.__comparisonJobWatchers || {};
+
+// Mirrors ComparisonPhase; the hub serializes enums as numbers
+const comparisonPhases = ['Initializing', 'Parsing', 'Executing', 'Comparing', 'Completed', 'Failed', 'Cancelled'];
+const terminalComparisonPhases = ['Completed', 'Failed', 'Cancelled'];
+
+const comparisonHubReconnectDelaysMs = [0, 2000, 5000, 10000, 30000];
+const comparisonHubRestartDelayMs = 5000;
+const comparisonJobIndicatorHideDelayMs = 2000;
+
+function getComparisonPhaseName(phase) {
+    return typeof phase === 'number' ? (comparisonPhases[phase] || `Phase ${phase}`) : String(phase);
+}
+
+function showComparisonJobProgress(update) {
+    const phase = getComparisonPhaseName(update.phase);
+    const message = update.errorMessage ? `${update.message} (${update.errorMessage})` : update.message;
+    updateProcessingMessage(`${phase}: ${message}`);
+
+    const completed = update.completedItems ?? 0;
+    const total = update.totalItems ?? 0;
+    updateProcessingProgress(update.percentComplete, completed, total, 'requests');
+}
+
+// Seed or refresh the indicator from the status endpoint; updates sent while disconnected are not replayed
+async function fetchComparisonJobStatus(jobId) {
+    const response = await fetch(`/api/requests/compare/${encodeURIComponent(jobId)}/status`);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+    }
+
+    const status = await response.json();
+    return {
+        jobId,
+        phase: status.status,
+        percentComplete: status.total > 0 ? Math.round((status.completed / status.total) * 100) : 0,
+        message: status.message || status.status,
+        completedItems: status.completed,
+        totalItems: status.total,
+        errorMessage: status.error
+    };
+}
+
+async function cancelComparisonJob(jobId) {
+    const response = await fetch(`/api/requests/compare/${encodeURIComponent(jobId)}/cancel`, { method: 'POST' });
+    if (response.status === 404) {
+        updateProcessingMessage('The job has already finished.');
+        return false;
+    }
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+    }
+
+    updateProcessingMessage('Cancelling...');
+    return true;
+}
+
+/**
+ * Watch a comparison job in the processing indicator, with a Cancel button.
+ * dotNetRef (optional) receives OnJobProgressUpdate(phase, percent, message) and
+ * OnJobProgressFinished(phase, message). Reconnects and resubscribes after connection drops.
+ * Returns a promise that resolves once the job is subscribed.
+ */
+window.watchComparisonJob = async function (jobId, dotNetRef) {
+    if (typeof signalR === 'undefined') {
+        throw new Error('The SignalR client library is not loaded.');
+    }
+
+    await window.stopWatchingComparisonJob(jobId);
+
+    const connection = new signalR.HubConnectionBuilder()
+        .withUrl('/hubs/comparison-progress')
+        .withAutomaticReconnect(comparisonHubReconnectDelaysMs)
+        .build();
+
+    const watcher = { jobId, connection, stopped: false, finished: false, restartTimer: null };
+    window.__comparisonJobWatchers[jobId] = watcher;
+
+    const notify = (method, ...args) => {
+        if (dotNetRef) {
+            dotNetRef.invokeMethodAsync(method, ...args).catch(e => {
+                console.warn(`Job progress callback ${method} failed:`, e);
+            });
+        }
+    };
+
+    const handleUpdate = (update) => {
+        if (watcher.stopped || update.jobId !== jobId) {
+            return;
+        }
+
+        const phase = getComparisonPhaseName(update.phase);
+        showComparisonJobProgress(update);
+        notify('OnJobProgressUpdate', phase, update.percentComplete, update.message);
+
+        if (terminalComparisonPhases.includes(phase)) {
+            watcher.finished = true;
+            setProcessingCancelAction(null);
+            notify('OnJobProgressFinished', phase, update.errorMessage || update.message);
+            window.stopWatchingComparisonJob(jobId);
+            setTimeout(hideProcessingIndicator, comparisonJobIndicatorHideDelayMs);
+        }
+    };
+
+    const subscribe = async () => {
+        await connection.invoke('SubscribeToJob', jobId);
+        try {
+            handleUpdate(await fetchComparisonJobStatus(jobId));
+        } catch (e) {
+            console.warn('Could not refresh job status:', e);
+        }
+    };
+
+    // Automatic reconnect gives up after its last delay; keep trying until the watcher is stopped
+    const scheduleRestart = () => {
+        if (watcher.stopped) {
+            return;
+        }
+
+        updateProcessingMessage('Connection lost, retrying...');
+        watcher.restartTimer = setTimeout(async () => {
+            watcher.restartTimer = null;
+            try {
+                await connection.start();
+                await subscribe();
+            } catch (e) {
+                console.warn('Reconnecting to the progress hub failed:', e);
+                scheduleRestart();
+            }
+        }, comparisonHubRestartDelayMs);
+    };
+
+    connection.on('ProgressUpdate', handleUpdate);
+    connection.onreconnecting(() => updateProcessingMessage('Connection lost, reconnecting...'));
+    // Group membership belongs to the old connection id, so subscribe again
+    connection.onreconnected(() => subscribe().catch(e => console.warn('Resubscribing to job failed:', e)));
+    connection.onclose(() => scheduleRestart());
+
+    showProcessingIndicator(`Watching job ${jobId}...`);
+    setProcessingCancelAction(() => {
+        cancelComparisonJob(jobId).catch(e => {
+            console.error('Error cancelling job:', e);
+            updateProcessingMessage(`Cancel failed: ${e.message}`);
+        });
+    }, 'Cancel Job');
+
+    try {
+        await connection.start();
+        await subscribe();
+    } catch (e) {
+        console.error('Error connecting to the progress hub:', e);
+        scheduleRestart();
+    }
+};
+
+window.stopWatchingComparisonJob = async function (jobId) {
+    const watcher = window.__comparisonJobWatchers[jobId];
+    if (!watcher) {
+        return;
+    }
+
+    watcher.stopped = true;
+    delete window.__comparisonJobWatchers[jobId];
+    if (watcher.restartTimer) {
+        clearTimeout(watcher.restartTimer);
+    }
+
+    // A finished job leaves its final state on screen briefly; otherwise the page is going away
+    if (!watcher.finished) {
+        setProcessingCancelAction(null);
+        hideProcessingIndicator();
+    }
+
+    try {
+        if (watcher.connection.state === signalR.HubConnectionState.Connected) {
+            await watcher.connection.invoke('UnsubscribeFromJob', jobId);
+        }
+        await watcher.connection.stop();
+    } catch (e) {
+        console.warn('Error closing the progress connection:', e);
+    }
+};
@@ -0,0 +1,167 @@
+// Request files for the request comparison, sent from the browser straight to /api/requests/batch
+// instead of being streamed through the Blazor circuit. A selection (files or a whole folder) goes up
+// in size-aware batches that all land in one request batch; its batchId is reported back to .NET.
+
+// Selected request files per upload key: { files, cacheKey, abortController }
+window.__requestUploads = window.__requestUploads || {};
+
+// Same key as the server's cache index: SHA-256 over "path|size|lastModified;" in ordinal path order.
+// Returns null where SubtleCrypto is unavailable (non-secure origins); the upload then skips the cache.
+async function computeRequestCacheKey(files) {
+    if (!window.crypto || !window.crypto.subtle) {
+        return null;
+    }
+
+    const entries = files
+        .map(f => ({ path: getUploadRelativePath(f), size: f.size, lastModified: f.lastModified }))
+        .sort((a, b) => a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+    const text = entries.map(e => `${e.path}|${e.size}|${e.lastModified};`).join('');
+    const hash = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(hash), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// The cached batch for a cache key ({ batchId, uploaded }), or null
+async function findCachedRequestBatch(cacheKey) {
+    if (!cacheKey) {
+        return null;
+    }
+
+    try {
+        const response = await fetch(`/api/requests/batch/cache/${cacheKey}`);
+        if (!response.ok) {
+            return null;
+        }
+
+        const result = await response.json();
+        return result.found && result.batchId ? { batchId: result.batchId, uploaded: result.uploaded } : null;
+    } catch (e) {
+        console.warn('Request batch cache lookup failed:', e);
+        return null;
+    }
+}
+
+/**
+ * Remember a selection of request files under uploadKey and look it up in the server's batch cache.
+ * Reports OnRequestFilesSelected with JSON { fileCount, totalBytes, cacheKey, cacheHit, batchId, uploaded }.
+ */
+async function selectRequestFiles(uploadKey, selectedFiles, dotNetRef) {
+    // Folder picks bring along .DS_Store, desktop.ini and the like
+    const files = selectedFiles.filter(f => !f.name.startsWith('.') && f.name.toLowerCase() !== 'desktop.ini');
+    const cacheKey = await computeRequestCacheKey(files);
+    window.__requestUploads[uploadKey] = { files, cacheKey, abortController: null };
+
+    const cached = files.length > 0 ? await findCachedRequestBatch(cacheKey) : null;
+    notifyUploadListener(dotNetRef, 'OnRequestFilesSelected', JSON.stringify({
+        fileCount: files.length,
+        totalBytes: files.reduce((sum, f) => sum + f.size, 0),
+        cacheKey,
+        cacheHit: !!cached,
+        batchId: cached ? cached.batchId : null,
+        uploaded: cached ? cached.uploaded : 0
+    }));
+}
+
+// Let the user pick request files (or a folder, when the input has webkitdirectory) for uploadKey
+window.triggerRequestFileInput = function (inputId, uploadKey, dotNetRef) {
+    const input = document.getElementById(inputId);
+    if (!input) return;
+    input.onchange = null;
+    input.value = '';
+    input.onchange = function () {
+        selectRequestFiles(uploadKey, Array.from(input.files), dotNetRef);
+    };
+    input.click();
+};
+
+/**
+ * Upload the files selected under uploadKey. The first batch creates the request batch and the rest
+ * are appended to it; the cache key goes with the last one, so only complete batches are cached.
+ * Reports OnRequestUploadProgress(uploadedFiles, totalFiles, uploadedBytes, totalBytes), then
+ * OnRequestUploadComplete with JSON { batchId, uploaded, cacheKey, cacheHit }, OnRequestUploadError
+ * or OnRequestUploadCancelled. Returns once the upload has started: a large selection takes longer
+ * than Blazor waits for an interop call.
+ */
+window.uploadRequestFiles = function (uploadKey, dotNetRef) {
+    runRequestUpload(uploadKey, dotNetRef).catch(e => {
+        console.error('Request file upload failed:', e);
+        notifyUploadListener(dotNetRef, 'OnRequestUploadError', e.message || e.toString());
+    });
+};
+
+async function runRequestUpload(uploadKey, dotNetRef) {
+    const selection = window.__requestUploads[uploadKey];
+    if (!selection || selection.files.length === 0) {
+        notifyUploadListener(dotNetRef, 'OnRequestUploadError', 'No request files are selected.');
+        return;
+    }
+
+    const { batches, rejected } = buildSizeAwareBatches(selection.files, batchUploadLimits.maxFilesPerBatch);
+    if (rejected.length > 0) {
+        notifyUploadListener(dotNetRef, 'OnRequestUploadError',
+            `${rejected.length} files are too large to upload (e.g. ${rejected[0].path}: ${rejected[0].reason}).`);
+        return;
+    }
+
+    const totalFiles = selection.files.length;
+    const totalBytes = batches.reduce((sum, b) => sum + b.bytes, 0);
+    let uploadedFiles = 0;
+    let uploadedBytes = 0;
+    let lastReport = 0;
+    const reportProgress = (sentBytes, force) => {
+        const now = performance.now();
+        if (force || now - lastReport >= uploadProgressReportIntervalMs) {
+            lastReport = now;
+            notifyUploadListener(dotNetRef, 'OnRequestUploadProgress', uploadedFiles, totalFiles, Math.round(sentBytes), totalBytes);
+        }
+    };
+
+    const abortController = new AbortController();
+    selection.abortController = abortController;
+    let batchId = null;
+    try {
+        reportProgress(0, true);
+        for (let i = 0; i < batches.length; i++) {
+            const batch = batches[i];
+            const fields = {};
+            if (batchId) fields.batchId = batchId;
+            if (i === batches.length - 1 && selection.cacheKey) fields.cacheKey = selection.cacheKey;
+
+            const result = await postUploadBatchWithRetry('/api/requests/batch', batch.files, abortController.signal,
+                (fraction) => reportProgress(uploadedBytes + batch.bytes * fraction, false), null, fields);
+
+            batchId = result.batchId;
+            uploadedFiles += result.uploaded;
+            uploadedBytes += batch.bytes;
+            reportProgress(uploadedBytes, true);
+        }
+
+        notifyUploadListener(dotNetRef, 'OnRequestUploadComplete', JSON.stringify({
+            batchId,
+            uploaded: uploadedFiles,
+            cacheKey: selection.cacheKey,
+            cacheHit: false
+        }));
+    } catch (e) {
+        if (e.name === 'AbortError') {
+            notifyUploadListener(dotNetRef, 'OnRequestUploadCancelled');
+            return;
+        }
+
+        console.error('Request file upload failed:', e);
+        notifyUploadListener(dotNetRef, 'OnRequestUploadError', e.message || e.toString());
+    } finally {
+        selection.abortController = null;
+    }
+}
+
+window.cancelRequestUpload = function (uploadKey) {
+    const selection = window.__requestUploads[uploadKey];
+    if (selection && selection.abortController) {
+        selection.abortController.abort();
+    }
+};
+
+window.clearRequestUpload = function (uploadKey) {
+    window.cancelRequestUpload(uploadKey);
+    delete window.__requestUploads[uploadKey];
+};
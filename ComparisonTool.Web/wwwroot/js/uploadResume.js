@@ -0,0 +1,400 @@
+// Upload sessions persisted in IndexedDB, so a page reload or a lost Blazor circuit does not lose a long
+// upload. Each record holds the file manifest (paths, sizes, modification times), which batches the
+// server has acknowledged and the server session id. Interrupted uploads can be resumed once the same
+// files are available again - straight from a stored directory handle where the File System Access API
+// is supported, otherwise by picking the folder again - and completed uploads can be reused as they are.
+
+// Upload keys whose sessions are persisted, with what the records are shown as ({ target, label })
+window.__uploadResume = window.__uploadResume || {};
+
+const uploadResumeDatabaseName = 'ComparisonToolUploads';
+const uploadResumeStoreName = 'uploads';
+
+// The server removes upload sessions older than a day on startup, so older records are dropped too
+const uploadResumeMaxAgeMs = 24 * 60 * 60 * 1000;
+
+// Batch progress is written at most this often while an upload runs
+const uploadResumeSaveIntervalMs = 2000;
+
+// Directory handle a file was read from, when it was picked with showDirectoryPicker
+const uploadDirectoryHandles = new WeakMap();
+
+let uploadResumeDatabase = null;
+
+function openUploadResumeDatabase() {
+    if (!uploadResumeDatabase) {
+        uploadResumeDatabase = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(uploadResumeDatabaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(uploadResumeStoreName, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        uploadResumeDatabase.catch(() => { uploadResumeDatabase = null; });
+    }
+
+    return uploadResumeDatabase;
+}
+
+// Run one request against the store and resolve with its result
+async function runUploadResumeRequest(mode, createRequest) {
+    const db = await openUploadResumeDatabase();
+    return await new Promise((resolve, reject) => {
+        const transaction = db.transaction(uploadResumeStoreName, mode);
+        const request = createRequest(transaction.objectStore(uploadResumeStoreName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function getUploadFileSource(file) {
+    return canonicalizedUploadOriginals.get(file) || file;
+}
+
+// The record for an upload: paths and batches refer to the files as selected, before canonicalization
+function createResumableUploadRecord(uploadKey, upload) {
+    const settings = window.__uploadResume[uploadKey];
+    const sources = upload.files.map(getUploadFileSource);
+    const firstPath = sources.length > 0 ? getUploadRelativePath(sources[0]) : '';
+
+    return {
+        id: upload.sessionId,
+        target: settings.target || '',
+        label: settings.label || '',
+        folder: firstPath.includes('/') ? firstPath.split('/')[0] : firstPath,
+        status: 'uploading',
+        updatedUtc: Date.now(),
+        contentChecked: upload.contentChecked,
+        directoryHandle: sources.map(f => uploadDirectoryHandles.get(f)).find(Boolean) || null,
+        files: sources.map(f => ({ path: getUploadRelativePath(f), size: f.size, lastModified: f.lastModified })),
+        batches: upload.batches.map(b => ({
+            paths: b.files.map(f => getUploadRelativePath(f)),
+            status: b.status === 'done' ? 'done' : 'pending',
+            cached: !!b.cached
+        }))
+    };
+}
+
+/**
+ * Persist an upload's manifest and batch state. Called when the session is ready and after batches
+ * complete (throttled unless immediate). Keys without resume settings are not persisted.
+ */
+async function saveResumableUpload(uploadKey, upload, immediate = true) {
+    if (!window.__uploadResume[uploadKey] || !upload.sessionId || upload.resumeClosed) {
+        return;
+    }
+
+    if (!immediate) {
+        if (!upload.resumeSaveTimer) {
+            upload.resumeSaveTimer = setTimeout(() => {
+                upload.resumeSaveTimer = null;
+                saveResumableUpload(uploadKey, upload);
+            }, uploadResumeSaveIntervalMs);
+        }
+        return;
+    }
+
+    try {
+        await runUploadResumeRequest('readwrite', store => store.put(createResumableUploadRecord(uploadKey, upload)));
+    } catch (e) {
+        // Persistence is best-effort; the upload itself carries on
+        console.warn('Could not persist upload state:', e);
+    }
+}
+
+async function completeResumableUpload(upload) {
+    closeResumableUpload(upload);
+    try {
+        const record = await runUploadResumeRequest('readonly', store => store.get(upload.sessionId));
+        if (record) {
+            record.status = 'completed';
+            record.updatedUtc = Date.now();
+            record.batches = [];
+            await runUploadResumeRequest('readwrite', store => store.put(record));
+        }
+    } catch (e) {
+        console.warn('Could not persist upload state:', e);
+    }
+}
+
+// Stop saving an upload that finished or was discarded, so a late save cannot bring it back
+function closeResumableUpload(upload) {
+    upload.resumeClosed = true;
+    clearTimeout(upload.resumeSaveTimer);
+    upload.resumeSaveTimer = null;
+}
+
+async function forgetResumableUpload(sessionId) {
+    if (!sessionId) {
+        return;
+    }
+
+    try {
+        await runUploadResumeRequest('readwrite', store => store.delete(sessionId));
+    } catch (e) {
+        console.warn('Could not remove stored upload', sessionId, e);
+    }
+}
+
+async function uploadSessionExists(sessionId) {
+    const response = await fetch(`/api/upload/sessions/${sessionId}`);
+    return response.ok;
+}
+
+// Files for a stored upload: from its directory handle if the user allows access again, else picked anew
+async function getStoredUploadFiles(record, inputId) {
+    if (record.directoryHandle) {
+        try {
+            if (await record.directoryHandle.requestPermission({ mode: 'read' }) === 'granted') {
+                return await readUploadDirectory(record.directoryHandle);
+            }
+        } catch (e) {
+            console.warn('Stored directory handle is no longer usable:', e);
+        }
+    }
+
+    const input = document.getElementById(inputId);
+    if (!input) {
+        return null;
+    }
+
+    return await new Promise(resolve => {
+        input.onchange = null;
+        input.value = '';
+        input.onchange = () => resolve(Array.from(input.files));
+        input.oncancel = () => resolve(null);
+        input.click();
+    });
+}
+
+async function readUploadDirectory(directoryHandle) {
+    showProcessingIndicator(`Reading ${directoryHandle.name}...`);
+    try {
+        const files = [];
+        await collectDirectoryHandleFiles(directoryHandle, directoryHandle.name, files);
+        for (const file of files) {
+            uploadDirectoryHandles.set(file, directoryHandle);
+        }
+        return files;
+    } finally {
+        hideProcessingIndicator();
+    }
+}
+
+/**
+ * Stored uploads for one side of the comparison, newest first. Records older than the server keeps
+ * sessions are removed. Returns JSON: [{ id, label, folder, status, fileCount, uploadedCount, totalBytes, updatedUtc, hasDirectoryHandle }].
+ */
+window.listResumableUploads = async function (target) {
+    let records;
+    try {
+        records = await runUploadResumeRequest('readonly', store => store.getAll());
+    } catch (e) {
+        console.warn('Could not read stored uploads:', e);
+        return '[]';
+    }
+
+    const cutoff = Date.now() - uploadResumeMaxAgeMs;
+    for (const record of records.filter(r => r.updatedUtc < cutoff)) {
+        await forgetResumableUpload(record.id);
+    }
+
+    // Uploads still running in this page are not interrupted
+    const running = new Set(Object.values(window.__folderUploads).map(u => u.sessionId));
+
+    return JSON.stringify(records
+        .filter(r => r.updatedUtc >= cutoff && r.target === (target || '') && !running.has(r.id))
+        .sort((a, b) => b.updatedUtc - a.updatedUtc)
+        .map(r => {
+            const done = new Set(r.batches.filter(b => b.status === 'done').flatMap(b => b.paths));
+            return {
+                id: r.id,
+                label: r.label,
+                folder: r.folder,
+                status: r.status,
+                fileCount: r.files.length,
+                uploadedCount: r.status === 'completed' ? r.files.length : done.size,
+                totalBytes: r.files.reduce((sum, f) => sum + f.size, 0),
+                updatedUtc: r.updatedUtc,
+                hasDirectoryHandle: !!r.directoryHandle
+            };
+        }));
+};
+
+/**
+ * Resume an interrupted upload under uploadKey. The files are read from the stored directory handle or
+ * picked again through inputId; only files of unacknowledged batches are needed and they must be
+ * unchanged. Progress and the outcome are reported like any other upload. Returns straight away: picking
+ * the files again and the upload itself can outlast the interop call.
+ */
+window.resumeStoredUpload = function (id, uploadKey, inputId, dotNetRef) {
+    runUploadDetached(() => resumeStoredUploadAsync(id, uploadKey, inputId, dotNetRef), dotNetRef);
+};
+
+async function resumeStoredUploadAsync(id, uploadKey, inputId, dotNetRef) {
+    const record = await runUploadResumeRequest('readonly', store => store.get(id)).catch(() => null);
+    if (!record) {
+        notifyUploadListener(dotNetRef, 'OnBatchUploadError', 'The stored upload could not be found.');
+        return;
+    }
+
+    if (!await uploadSessionExists(id).catch(() => false)) {
+        await forgetResumableUpload(id);
+        notifyUploadListener(dotNetRef, 'OnBatchUploadError', 'The interrupted upload is no longer on the server. Please upload the folder again.');
+        return;
+    }
+
+    const selected = await getStoredUploadFiles(record, inputId);
+    if (!selected) {
+        return;
+    }
+
+    const byPath = new Map(selected.map(f => [getUploadRelativePath(f), f]));
+    const recorded = new Map(record.files.map(f => [f.path, f]));
+    const changed = record.batches
+        .filter(b => b.status !== 'done')
+        .flatMap(b => b.paths)
+        .filter(path => {
+            const file = byPath.get(path);
+            const expected = recorded.get(path);
+            return !file || !expected || file.size !== expected.size || file.lastModified !== expected.lastModified;
+        });
+    if (changed.length > 0) {
+        notifyUploadListener(dotNetRef, 'OnBatchUploadError',
+            `${changed.length} files still to upload are missing or have changed since the upload started (e.g. ${changed[0]}). Pick the same folder, or start a new upload.`);
+        return;
+    }
+
+    // Acknowledged files are not needed again; stand-ins keep counts and sizes right
+    const fileFor = (path) => byPath.get(path) || {
+        name: path.split('/').pop(),
+        webkitRelativePath: path,
+        size: (recorded.get(path) || {}).size || 0
+    };
+
+    let pendingFiles = record.batches.filter(b => b.status !== 'done').flatMap(b => b.paths.map(fileFor));
+    if (window.__uploadCanonicalization[uploadKey] && pendingFiles.length > 0) {
+        pendingFiles = await canonicalizeUploadCandidates(pendingFiles);
+    }
+    const pendingByPath = new Map(pendingFiles.map(f => [getUploadRelativePath(f), f]));
+
+    const batches = record.batches.map(b => {
+        const files = b.paths.map(path => b.status === 'done' ? fileFor(path) : pendingByPath.get(path));
+        return {
+            files,
+            bytes: files.reduce((sum, f) => sum + f.size, 0),
+            requestBytes: b.status === 'done' ? 0 : files.reduce((sum, f) => sum + getUploadRequestBytes(f), 0),
+            sentBytes: 0,
+            status: b.status === 'done' ? 'done' : 'pending',
+            cached: b.cached,
+            result: null,
+            error: null
+        };
+    });
+
+    const files = batches.flatMap(b => b.files);
+    const upload = {
+        files,
+        batches,
+        totalBytes: files.reduce((sum, f) => sum + f.size, 0),
+        concurrency: createConcurrencyController(),
+        sessionId: record.id,
+        contentChecked: record.contentChecked,
+        abortController: null,
+        cancelled: false
+    };
+    window.__folderUploads[uploadKey] = upload;
+    window.__uploadSelections[uploadKey] = files;
+
+    await runFolderUpload(uploadKey, upload, dotNetRef);
+}
+
+// Hand a completed upload to Blazor again, as if it had just finished
+window.reuseStoredUpload = async function (id, dotNetRef) {
+    try {
+        const response = await fetch(`/api/upload/sessions/${id}/complete`, { method: 'POST' });
+        if (response.status === 404) {
+            await forgetResumableUpload(id);
+            notifyUploadListener(dotNetRef, 'OnBatchUploadError', 'That upload is no longer on the server. Please upload the folder again.');
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+        }
+
+        notifyUploadListener(dotNetRef, 'OnBatchUploadComplete', JSON.stringify(await response.json()));
+    } catch (e) {
+        console.error('Error reusing stored upload:', e);
+        notifyUploadListener(dotNetRef, 'OnBatchUploadError', e.toString());
+    }
+};
+
+// Drop a stored upload; an interrupted one also has its partial server session removed
+window.discardStoredUpload = async function (id) {
+    const record = await runUploadResumeRequest('readonly', store => store.get(id)).catch(() => null);
+    if (record && record.status !== 'completed') {
+        try {
+            await fetch(`/api/upload/sessions/${id}`, { method: 'DELETE' });
+        } catch (e) {
+            console.warn('Failed to discard upload session', id, e);
+        }
+    }
+
+    await forgetResumableUpload(id);
+};
+
+/**
+ * Pick a folder for uploadKey. Where the File System Access API is available the directory handle is
+ * kept with the stored upload so it can be resumed without picking again; otherwise the folder input
+ * is used. Returns straight away: the picker, reading the folder and the upload can outlast the
+ * interop call, and report back through the upload callbacks.
+ */
+window.pickUploadDirectory = function (inputId, uploadKey, batchSize, dotNetRef) {
+    if (typeof window.showDirectoryPicker !== 'function') {
+        window.triggerFolderInput(inputId, batchSize, dotNetRef);
+        return;
+    }
+
+    runUploadDetached(() => pickAndUploadDirectory(inputId, uploadKey, batchSize, dotNetRef), dotNetRef);
+};
+
+async function pickAndUploadDirectory(inputId, uploadKey, batchSize, dotNetRef) {
+    let directoryHandle;
+    try {
+        directoryHandle = await window.showDirectoryPicker({ id: 'comparisonUpload', mode: 'read' });
+    } catch (e) {
+        if (e.name !== 'AbortError') {
+            // e.g. blocked outside a user gesture - fall back to the folder input
+            console.warn('Directory picker unavailable, using the folder input:', e);
+            window.triggerFolderInput(inputId, batchSize, dotNetRef);
+        }
+        return;
+    }
+
+    let files;
+    try {
+        files = await readUploadDirectory(directoryHandle);
+    } catch (e) {
+        // e.g. a subfolder the browser may not read
+        console.error('Error reading the picked folder:', e);
+        notifyUploadListener(dotNetRef, 'OnBatchUploadError', `Could not read ${directoryHandle.name}: ${e.message || e}`);
+        return;
+    }
+
+    await window.startFolderUpload(uploadKey, files, batchSize, dotNetRef);
+}
+
+window.configureUploadResume = function (uploadKey, options) {
+    window.__uploadResume[uploadKey] = options || {};
+};
+
+window.removeUploadResume = function (uploadKey) {
+    delete window.__uploadResume[uploadKey];
+};
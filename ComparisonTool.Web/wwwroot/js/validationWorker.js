@@ -0,0 +1,54 @@
+// Web worker that checks JSON files before they are uploaded, so malformed files are reported
+// up front instead of failing deep inside deserialization. XML files are checked on the main thread
+// with DOMParser (see validateXmlText in app.js), which workers do not have.
+// Receives { files: File[] } and posts one result per file:
+// { index, valid, kind, message, line, column, rootElement }, followed by { done: true }.
+
+function lineAndColumn(text, index) {
+    let line = 1;
+    let lineStart = 0;
+    for (let i = 0; i < index && i < text.length; i++) {
+        if (text.charCodeAt(i) === 10) {
+            line++;
+            lineStart = i + 1;
+        }
+    }
+    return { line, column: index - lineStart + 1 };
+}
+
+// JSON.parse reports either "(line L column C)" or "at position N" depending on the engine version
+function jsonErrorLocation(text, error) {
+    const lineMatch = /line (\d+) column (\d+)/.exec(error.message);
+    if (lineMatch) {
+        return { line: Number(lineMatch[1]), column: Number(lineMatch[2]) };
+    }
+
+    const positionMatch = /position (\d+)/.exec(error.message);
+    return positionMatch ? lineAndColumn(text, Number(positionMatch[1])) : { line: null, column: null };
+}
+
+function validateJsonText(text) {
+    try {
+        const value = JSON.parse(text);
+        return { valid: true, rootElement: Array.isArray(value) ? 'array' : typeof value };
+    } catch (err) {
+        return { valid: false, kind: 'malformed', message: err.message, ...jsonErrorLocation(text, err) };
+    }
+}
+
+self.onmessage = async function (e) {
+    const files = e.data.files || [];
+
+    for (let i = 0; i < files.length; i++) {
+        let result;
+        try {
+            result = validateJsonText(await files[i].text());
+        } catch (err) {
+            result = { valid: false, kind: 'malformed', message: `Could not read file: ${err.message}`, line: null, column: null };
+        }
+
+        self.postMessage({ index: i, ...result });
+    }
+
+    self.postMessage({ done: true });
+};
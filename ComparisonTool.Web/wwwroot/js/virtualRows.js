@@ -0,0 +1,268 @@
+// Windowed rendering for very long line lists (SideBySideFileView, RawTextDifferencesView).
+// Only the rows in view plus a buffer exist in the DOM; rows are fetched from .NET in blocks via
+// dotNetRef.GetVirtualRows(key, start, count). Every row has the same height, so row positions
+// are computed instead of measured, and wrapping is not supported in this mode.
+// Row shape: { className, cells: [{ className, text, title, pieces: [{ text, className }] }] }
+
+window.__virtualRows = window.__virtualRows || {};
+
+const virtualRowBlockSize = 200;
+const virtualRowMaxCachedBlocks = 50;
+
+// The registration whose rows scroll inside the given element, if that element is virtualized
+function findVirtualRows(viewport) {
+    return Object.values(window.__virtualRows).find(r => r.viewport === viewport) || null;
+}
+
+// Offset of a row from the top of the viewport's scrollable content
+function getVirtualRowTop(registration, index) {
+    return registration.contentTop + index * registration.rowHeight;
+}
+
+// Mark a range of rows with a class (e.g. the current change); survives rows being re-rendered
+function setVirtualRowsMark(registration, start, end, className) {
+    registration.mark = start === null ? null : { start, end, className };
+    renderVirtualRows(registration, true);
+}
+
+// Full text of every row, fetched once from dotNetRef.GetVirtualRowTexts(key) for searching
+function loadVirtualRowTexts(registration) {
+    if (!registration.texts) {
+        registration.texts = registration.dotNetRef.invokeMethodAsync('GetVirtualRowTexts', registration.key)
+            .catch(e => {
+                registration.texts = null;
+                throw e;
+            });
+    }
+    return registration.texts;
+}
+
+function measureVirtualContentTop(registration) {
+    const { viewport, content } = registration;
+    registration.contentTop = content.getBoundingClientRect().top - viewport.getBoundingClientRect().top + viewport.scrollTop;
+}
+
+function measureVirtualRowHeight(registration) {
+    const probe = createVirtualRowElement(registration, { cells: [{ text: 'M' }] }, -1);
+    probe.style.height = '';
+    registration.window.appendChild(probe);
+    const height = probe.getBoundingClientRect().height;
+    probe.remove();
+    return height > 0 ? height : 20;
+}
+
+function createVirtualRowElement(registration, row, index) {
+    const element = document.createElement('div');
+    element.className = registration.rowClass;
+    element.style.height = `${registration.rowHeight}px`;
+    if (!row) {
+        return element;
+    }
+
+    if (row.className) {
+        element.className += ` ${row.className}`;
+    }
+    const mark = registration.mark;
+    if (mark && index >= mark.start && index <= mark.end) {
+        element.classList.add(mark.className);
+    }
+
+    for (const cell of row.cells || []) {
+        const span = document.createElement('span');
+        if (cell.className) {
+            span.className = cell.className;
+        }
+        if (cell.title) {
+            span.title = cell.title;
+        }
+
+        if (cell.pieces && cell.pieces.length > 0) {
+            for (const piece of cell.pieces) {
+                if (piece.className) {
+                    const pieceSpan = document.createElement('span');
+                    pieceSpan.className = piece.className;
+                    pieceSpan.textContent = piece.text || '';
+                    span.appendChild(pieceSpan);
+                } else {
+                    span.appendChild(document.createTextNode(piece.text || ''));
+                }
+            }
+        } else {
+            span.textContent = cell.text || '';
+        }
+
+        element.appendChild(span);
+    }
+
+    return element;
+}
+
+function loadVirtualRowBlock(registration, block) {
+    if (registration.blocks.has(block) || registration.pending.has(block)) {
+        return;
+    }
+
+    registration.pending.add(block);
+    const start = block * virtualRowBlockSize;
+    const count = Math.min(virtualRowBlockSize, registration.rowCount - start);
+    registration.dotNetRef.invokeMethodAsync('GetVirtualRows', registration.key, start, count)
+        .then(rows => {
+            if (registration.disposed) {
+                return;
+            }
+
+            registration.pending.delete(block);
+            registration.blocks.set(block, rows || []);
+            evictVirtualRowBlocks(registration);
+            renderVirtualRows(registration, true);
+        })
+        .catch(e => {
+            registration.pending.delete(block);
+            console.warn('Failed to load rows', start, 'to', start + count, e);
+        });
+}
+
+// Drop the least recently loaded blocks outside the rendered range
+function evictVirtualRowBlocks(registration) {
+    const { blocks, rendered } = registration;
+    for (const block of blocks.keys()) {
+        if (blocks.size <= virtualRowMaxCachedBlocks) {
+            break;
+        }
+
+        const blockStart = block * virtualRowBlockSize;
+        const inView = blockStart < rendered.end && blockStart + virtualRowBlockSize > rendered.start;
+        if (!inView) {
+            blocks.delete(block);
+        }
+    }
+}
+
+function renderVirtualRows(registration, force) {
+    const { viewport, rowHeight, rowCount, bufferRows } = registration;
+    const top = viewport.scrollTop - registration.contentTop;
+    const start = Math.max(0, Math.floor(top / rowHeight) - bufferRows);
+    const end = Math.min(rowCount, Math.ceil((top + viewport.clientHeight) / rowHeight) + bufferRows);
+
+    if (!force && start === registration.rendered.start && end === registration.rendered.end) {
+        return;
+    }
+    registration.rendered = { start, end };
+
+    const fragment = document.createDocumentFragment();
+    for (let i = start; i < end; i++) {
+        const block = Math.floor(i / virtualRowBlockSize);
+        const rows = registration.blocks.get(block);
+        if (!rows) {
+            loadVirtualRowBlock(registration, block);
+        }
+        fragment.appendChild(createVirtualRowElement(registration, rows ? rows[i - block * virtualRowBlockSize] : null, i));
+    }
+
+    registration.window.style.transform = `translateY(${start * rowHeight}px)`;
+    registration.window.replaceChildren(fragment);
+
+    // Let decorations that live on row elements (search highlights) re-apply to the new rows
+    for (const listener of registration.renderListeners) {
+        listener(registration);
+    }
+}
+
+// Elements for the first maxRows rows, fetched block by block; the HTML snapshot cannot scroll, so it
+// takes every row at once instead of a window
+async function createAllVirtualRowElements(registration, maxRows) {
+    const count = Math.min(registration.rowCount, maxRows);
+    const fragment = document.createDocumentFragment();
+    for (let start = 0; start < count; start += virtualRowBlockSize) {
+        const size = Math.min(virtualRowBlockSize, count - start);
+        const rows = registration.blocks.get(start / virtualRowBlockSize)
+            || await registration.dotNetRef.invokeMethodAsync('GetVirtualRows', registration.key, start, size)
+            || [];
+        rows.slice(0, size).forEach((row, i) => {
+            fragment.appendChild(createVirtualRowElement(registration, row, start + i));
+        });
+    }
+    return fragment;
+}
+
+/**
+ * Render rows of a long list on demand. contentId is the element that receives the rows; it scrolls
+ * inside options.viewportId (defaults to its parent).
+ * options: { key, rowCount, rowClass, bufferRows, ranges }
+ * ranges are optional [{ start, end, type }] change ranges that the overview ruler and change
+ * navigation use in place of the line classes, since most lines are not in the DOM.
+ */
+window.attachVirtualRows = function (contentId, options, dotNetRef) {
+    window.detachVirtualRows(contentId);
+
+    const content = document.getElementById(contentId);
+    if (!content) {
+        return;
+    }
+
+    const viewport = (options.viewportId && document.getElementById(options.viewportId)) || content.parentElement;
+    const rowWindow = document.createElement('div');
+    rowWindow.className = 'virtual-rows-window';
+    rowWindow.style.position = 'absolute';
+    rowWindow.style.top = '0';
+    rowWindow.style.left = '0';
+    rowWindow.style.minWidth = '100%';
+
+    content.style.position = 'relative';
+    content.replaceChildren(rowWindow);
+
+    const registration = {
+        content,
+        viewport,
+        window: rowWindow,
+        dotNetRef,
+        key: options.key || '',
+        rowCount: options.rowCount || 0,
+        rowClass: options.rowClass || 'virtual-row',
+        bufferRows: options.bufferRows ?? 40,
+        ranges: options.ranges || [],
+        rowHeight: 0,
+        contentTop: 0,
+        blocks: new Map(),
+        pending: new Set(),
+        rendered: { start: 0, end: 0 },
+        mark: null,
+        texts: null,
+        renderListeners: new Set(),
+        frame: 0,
+        disposed: false
+    };
+
+    registration.rowHeight = measureVirtualRowHeight(registration);
+    content.style.height = `${registration.rowCount * registration.rowHeight}px`;
+    measureVirtualContentTop(registration);
+
+    const onScroll = () => {
+        cancelAnimationFrame(registration.frame);
+        registration.frame = requestAnimationFrame(() => renderVirtualRows(registration, false));
+    };
+    const resizeObserver = new ResizeObserver(() => {
+        measureVirtualContentTop(registration);
+        renderVirtualRows(registration, false);
+    });
+
+    viewport.addEventListener('scroll', onScroll, { passive: true });
+    resizeObserver.observe(viewport);
+    Object.assign(registration, { onScroll, resizeObserver });
+    window.__virtualRows[contentId] = registration;
+
+    renderVirtualRows(registration, true);
+};
+
+window.detachVirtualRows = function (contentId) {
+    const registration = window.__virtualRows[contentId];
+    if (!registration) {
+        return;
+    }
+
+    registration.disposed = true;
+    cancelAnimationFrame(registration.frame);
+    registration.resizeObserver.disconnect();
+    registration.viewport.removeEventListener('scroll', registration.onScroll);
+    delete window.__virtualRows[contentId];
+};
@@ -0,0 +1,201 @@
+// ZIP archives as Expected/Actual input. Archives are read in the browser straight from the File:
+// only the central directory and one entry at a time are sliced out, and deflated entries are
+// inflated through DecompressionStream. XML/JSON entries become upload files under
+// "<archive name>/<path inside the archive>", as if the unpacked folder had been picked.
+
+const zipEndOfCentralDirectorySignature = 0x06054B50;
+const zip64EndOfCentralDirectoryLocatorSignature = 0x07064B50;
+const zip64EndOfCentralDirectorySignature = 0x06064B50;
+const zipCentralDirectorySignature = 0x02014B50;
+const zipLocalHeaderSignature = 0x04034B50;
+
+function isZipArchive(file) {
+    return file.name.toLowerCase().endsWith('.zip');
+}
+
+async function readZipBytes(file, start, end) {
+    return new DataView(await file.slice(start, end).arrayBuffer());
+}
+
+// Values stored as 0xFFFF/0xFFFFFFFF live in the ZIP64 extra field (id 0x0001), in this order
+function readZip64ExtraField(view, start, length, entry) {
+    let p = start;
+    const end = start + length;
+    while (p + 4 <= end) {
+        const id = view.getUint16(p, true);
+        const size = view.getUint16(p + 2, true);
+        if (id === 0x0001) {
+            let q = p + 4;
+            for (const field of ['size', 'compressedSize', 'offset']) {
+                if (entry[field] === 0xFFFFFFFF && q + 8 <= p + 4 + size) {
+                    entry[field] = Number(view.getBigUint64(q, true));
+                    q += 8;
+                }
+            }
+            return;
+        }
+        p += 4 + size;
+    }
+}
+
+// Locate and parse the central directory. Throws when the file is not a readable ZIP archive.
+async function readZipEntries(file) {
+    // The end record is 22 bytes plus a comment of up to 64 KB
+    const tailStart = Math.max(0, file.size - 22 - 0xFFFF);
+    const tail = await readZipBytes(file, tailStart, file.size);
+    let endOffset = -1;
+    for (let p = tail.byteLength - 22; p >= 0; p--) {
+        if (tail.getUint32(p, true) === zipEndOfCentralDirectorySignature) {
+            endOffset = p;
+            break;
+        }
+    }
+    if (endOffset < 0) {
+        throw new Error('Not a ZIP archive, or the archive is truncated');
+    }
+
+    let entryCount = tail.getUint16(endOffset + 10, true);
+    let directorySize = tail.getUint32(endOffset + 12, true);
+    let directoryOffset = tail.getUint32(endOffset + 16, true);
+
+    const locatorOffset = endOffset - 20;
+    if (locatorOffset >= 0 && tail.getUint32(locatorOffset, true) === zip64EndOfCentralDirectoryLocatorSignature) {
+        const recordOffset = Number(tail.getBigUint64(locatorOffset + 8, true));
+        const record = await readZipBytes(file, recordOffset, recordOffset + 56);
+        if (record.getUint32(0, true) !== zip64EndOfCentralDirectorySignature) {
+            throw new Error('The ZIP64 directory record is damaged');
+        }
+        entryCount = Number(record.getBigUint64(32, true));
+        directorySize = Number(record.getBigUint64(40, true));
+        directoryOffset = Number(record.getBigUint64(48, true));
+    }
+
+    if (directoryOffset + directorySize > file.size) {
+        throw new Error('The ZIP directory points past the end of the file');
+    }
+
+    const directory = await readZipBytes(file, directoryOffset, directoryOffset + directorySize);
+    const utf8 = new TextDecoder('utf-8');
+    const entries = [];
+    let p = 0;
+    for (let i = 0; i < entryCount; i++) {
+        if (p + 46 > directory.byteLength || directory.getUint32(p, true) !== zipCentralDirectorySignature) {
+            throw new Error('The ZIP directory is damaged');
+        }
+
+        const nameLength = directory.getUint16(p + 28, true);
+        const extraLength = directory.getUint16(p + 30, true);
+        const commentLength = directory.getUint16(p + 32, true);
+        const entry = {
+            flags: directory.getUint16(p + 8, true),
+            method: directory.getUint16(p + 10, true),
+            compressedSize: directory.getUint32(p + 20, true),
+            size: directory.getUint32(p + 24, true),
+            offset: directory.getUint32(p + 42, true),
+            // Names without the UTF-8 flag are nominally CP437; in practice tools write UTF-8 or ASCII
+            name: utf8.decode(new Uint8Array(directory.buffer, directory.byteOffset + p + 46, nameLength))
+        };
+        readZip64ExtraField(directory, p + 46 + nameLength, extraLength, entry);
+        entries.push(entry);
+
+        p += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+// Inflate (or copy) one entry into a Blob without holding the compressed bytes in memory
+async function readZipEntryData(file, entry) {
+    const header = await readZipBytes(file, entry.offset, entry.offset + 30);
+    if (header.getUint32(0, true) !== zipLocalHeaderSignature) {
+        throw new Error('Entry header is damaged');
+    }
+
+    const dataStart = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+    const data = file.slice(dataStart, dataStart + entry.compressedSize);
+    if (entry.method === 0) {
+        return data;
+    }
+
+    return await new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+}
+
+// Reason an entry cannot be unpacked, or null. Directory entries and non-XML/JSON files are skipped
+// silently, the same as when a folder is picked.
+function getZipEntryProblem(entry) {
+    if (entry.flags & 0x0001) {
+        return 'Encrypted entries are not supported';
+    }
+    if (entry.method !== 0 && entry.method !== 8) {
+        return `Compression method ${entry.method} is not supported; use Deflate or Store`;
+    }
+    if (entry.method === 8 && typeof DecompressionStream === 'undefined') {
+        return 'This browser cannot decompress ZIP entries';
+    }
+    if (entry.name.replace(/\\/g, '/').split('/').some(segment => segment === '..')) {
+        return 'Entry path leaves the archive folder';
+    }
+    return null;
+}
+
+/**
+ * Replace the ZIP archives in a selection with their XML/JSON entries.
+ * Returns { files, rejected } where rejected uses the upload pipeline's { path, size, reason } shape.
+ */
+async function expandZipArchives(selectedFiles) {
+    const archives = selectedFiles.filter(isZipArchive);
+    const files = selectedFiles.filter(f => !isZipArchive(f));
+    const rejected = [];
+
+    for (const archive of archives) {
+        const archivePath = getUploadRelativePath(archive);
+        const folder = archivePath.replace(/\.zip$/i, '');
+        showProcessingIndicator(`Unpacking ${archive.name}...`);
+        try {
+            const entries = (await readZipEntries(archive)).filter(entry =>
+                !entry.name.endsWith('/') &&
+                !entry.name.startsWith('__MACOSX/') &&
+                (isSupportedFile({ name: entry.name }) || entry.name.split('/').pop() === comparisonIgnoreFileName));
+
+            for (let index = 0; index < entries.length; index++) {
+                const entry = entries[index];
+                const entryPath = entry.name.replace(/\\/g, '/').replace(/^\/+/, '');
+                const path = `${folder}/${entryPath}`;
+                const problem = getZipEntryProblem(entry);
+                if (problem) {
+                    rejected.push({ path, size: entry.size, reason: problem });
+                    continue;
+                }
+
+                try {
+                    const data = await readZipEntryData(archive, entry);
+                    const file = new File([data], entryPath.split('/').pop(), { lastModified: archive.lastModified });
+                    setUploadRelativePath(file, path);
+                    files.push(file);
+                } catch (e) {
+                    rejected.push({ path, size: entry.size, reason: `Could not unpack entry: ${e.message}` });
+                }
+
+                updateProcessingProgress(((index + 1) / entries.length) * 100, index + 1, entries.length);
+            }
+        } catch (e) {
+            rejected.push({ path: archivePath, size: archive.size, reason: `Could not read ZIP archive: ${e.message}` });
+        } finally {
+            hideProcessingIndicator();
+        }
+    }
+
+    return { files, rejected };
+}
+
+// Let the user pick ZIP archives and upload their contents under uploadKey
+window.triggerArchiveInput = function (inputId, uploadKey, batchSize, dotNetRef) {
+    const input = document.getElementById(inputId);
+    if (!input) return;
+    input.onchange = null;
+    input.value = '';
+    input.onchange = function () {
+        window.startFolderUpload(uploadKey, Array.from(input.files), batchSize, dotNetRef);
+    };
+    input.click();
+};